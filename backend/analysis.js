@@ -0,0 +1,86 @@
+import { runFfmpeg } from "./ffmpeg.js";
+
+// --- Content analysis ---
+// Scene changes and silent stretches of a file, found with ffmpeg's scene
+// score and silencedetect filters. The filters' per-frame metadata is printed
+// to stdout and parsed from there.
+
+// Decoding at full resolution buys nothing for scene scores
+const SCENE_ANALYSIS_WIDTH = 320;
+const ANALYSIS_TIMEOUT = 30 * 60 * 1000;
+
+// Lines of "frame:N pts:N pts_time:T" followed by "key=value" entries
+function parseMetadata(out) {
+  const frames = [];
+  for (const line of out.split("\n")) {
+    const time = line.match(/pts_time:([\d.]+)/);
+    if (time) frames.push({ time: parseFloat(time[1]) });
+    else if (frames.length && line.includes("=")) {
+      const [key, value] = line.trim().split("=");
+      frames[frames.length - 1][key] = parseFloat(value);
+    }
+  }
+  return frames;
+}
+
+// Times (seconds) where the picture changes by more than `threshold` (0..1)
+export async function detectScenes(inputPath, { threshold, signal }) {
+  const out = await runFfmpeg(
+    [
+      "-i",
+      inputPath,
+      "-map",
+      "0:v:0",
+      "-vf",
+      [
+        `scale=${SCENE_ANALYSIS_WIDTH}:-2`,
+        `select='gt(scene,${threshold})'`,
+        "metadata=mode=print:file=-",
+      ].join(","),
+      "-f",
+      "null",
+      "-",
+    ],
+    { collectStdout: true, timeout: ANALYSIS_TIMEOUT, signal }
+  );
+  return parseMetadata(out).map((frame) => frame.time);
+}
+
+// Ranges quieter than `noise` (dB) for at least `minDuration` seconds. A
+// silence still open at the end of the file ends at `duration`.
+export async function detectSilences(
+  inputPath,
+  { noise, minDuration, duration, signal }
+) {
+  const out = await runFfmpeg(
+    [
+      "-i",
+      inputPath,
+      "-map",
+      "0:a:0",
+      "-af",
+      [
+        `silencedetect=noise=${noise}dB:d=${minDuration}`,
+        "ametadata=mode=print:file=-",
+      ].join(","),
+      "-f",
+      "null",
+      "-",
+    ],
+    { collectStdout: true, timeout: ANALYSIS_TIMEOUT, signal }
+  );
+
+  const silences = [];
+  let start = null;
+  for (const frame of parseMetadata(out)) {
+    if ("lavfi.silence_start" in frame)
+      start = Math.max(0, frame["lavfi.silence_start"]);
+    if ("lavfi.silence_end" in frame && start !== null) {
+      silences.push({ start, end: frame["lavfi.silence_end"] });
+      start = null;
+    }
+  }
+  if (start !== null && duration > start)
+    silences.push({ start, end: duration });
+  return silences;
+}
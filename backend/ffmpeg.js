@@ -0,0 +1,203 @@
+import { spawn } from "child_process";
+import ffmpegPath from "ffmpeg-static";
+import ffprobeStatic from "ffprobe-static";
+
+// --- FFmpeg / FFprobe runner ---
+// Spawns the binaries with argument arrays (never through a shell), streams
+// stderr into a bounded buffer and maps failures to typed errors.
+
+const ffprobePath = ffprobeStatic.path;
+
+// Encodes give up after this long unless the caller says otherwise
+const DEFAULT_FFMPEG_TIMEOUT =
+  Number(process.env.FFMPEG_TIMEOUT_MS) || 2 * 60 * 60 * 1000;
+const DEFAULT_FFPROBE_TIMEOUT = 60 * 1000;
+// Only the tail of stderr is kept; that is where ffmpeg explains failures
+const MAX_STDERR = 64 * 1024;
+// Hard cap for output that is collected in full (ffprobe JSON, packet lists)
+const MAX_STDOUT = 64 * 1024 * 1024;
+
+// Messages ffmpeg prints when the input itself is the problem
+const INPUT_ERROR_PATTERN =
+  /Invalid data found|No such file or directory|moov atom not found|does not contain any stream|Invalid argument/;
+
+// --- Errors ---
+export class FfmpegError extends Error {
+  constructor(message, { code = null, signal = null, stderr = "" } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.signal = signal;
+    this.stderr = stderr;
+  }
+}
+
+// The binary could not be started at all
+export class FfmpegNotFoundError extends FfmpegError {}
+
+// The input file is missing, corrupt or not media
+export class FfmpegInputError extends FfmpegError {}
+
+// The run exceeded its timeout and was killed
+export class FfmpegTimeoutError extends FfmpegError {}
+
+// The caller aborted the run
+export class FfmpegAbortError extends FfmpegError {}
+
+// Output exceeded the buffer limit and the run was killed
+export class FfmpegOutputLimitError extends FfmpegError {}
+
+function mapExit(binary, { code, signal, stderr, reason }) {
+  const details = { code, signal, stderr };
+  if (reason === "timeout")
+    return new FfmpegTimeoutError(`${binary} timed out`, details);
+  if (reason === "abort")
+    return new FfmpegAbortError(`${binary} was cancelled`, details);
+  if (reason === "output")
+    return new FfmpegOutputLimitError(
+      `${binary} produced too much output`,
+      details
+    );
+  if (INPUT_ERROR_PATTERN.test(stderr))
+    return new FfmpegInputError(`${binary} could not read its input`, details);
+  return new FfmpegError(
+    signal
+      ? `${binary} was killed by ${signal}`
+      : `${binary} exited with code ${code}`,
+    details
+  );
+}
+
+// Shared process plumbing for both binaries. `onStdout` receives chunks as
+// they arrive; with `collectStdout` the whole output is resolved instead.
+function runProcess(binary, binaryPath, args, options) {
+  const {
+    signal,
+    timeout,
+    onStdout,
+    collectStdout = false,
+    maxBuffer = MAX_STDOUT,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted)
+      return reject(new FfmpegAbortError(`${binary} was cancelled`));
+
+    let child;
+    try {
+      child = spawn(binaryPath, args, { windowsHide: true });
+    } catch (err) {
+      return reject(
+        new FfmpegNotFoundError(
+          `${binary} could not be started: ${err.message}`
+        )
+      );
+    }
+
+    let stdout = "";
+    let stdoutBytes = 0;
+    let stderr = "";
+    let reason = null; // why we killed it, if we did
+
+    const kill = (why) => {
+      if (reason) return;
+      reason = why;
+      child.kill("SIGKILL");
+    };
+
+    const timer = timeout ? setTimeout(() => kill("timeout"), timeout) : null;
+    const onAbort = () => kill("abort");
+    signal?.addEventListener("abort", onAbort);
+
+    child.stdout.on("data", (chunk) => {
+      if (collectStdout) {
+        stdoutBytes += chunk.length;
+        if (stdoutBytes > maxBuffer) return kill("output");
+        stdout += chunk;
+      }
+      onStdout?.(chunk);
+    });
+
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-MAX_STDERR);
+    });
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      reject(
+        err.code === "ENOENT"
+          ? new FfmpegNotFoundError(`${binary} not found at ${binaryPath}`)
+          : new FfmpegError(`${binary} failed: ${err.message}`)
+      );
+    });
+
+    child.on("close", (code, exitSignal) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      if (code === 0 && !reason) return resolve(stdout);
+      reject(mapExit(binary, { code, signal: exitSignal, stderr, reason }));
+    });
+  });
+}
+
+// Run ffmpeg. With `duration` (seconds of output expected) and `onProgress`,
+// progress is read from "-progress pipe:1" and reported as a 0..1 fraction;
+// otherwise `onStdout` receives whatever is written to pipe:1.
+export function runFfmpeg(args, options = {}) {
+  const { duration, onProgress, timeout = DEFAULT_FFMPEG_TIMEOUT } = options;
+  const fullArgs = ["-hide_banner", "-y"];
+  let { onStdout } = options;
+
+  if (onProgress) {
+    fullArgs.push("-progress", "pipe:1", "-nostats");
+    let pending = "";
+    onStdout = (chunk) => {
+      pending += chunk;
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        const [key, value] = line.trim().split("=");
+        // out_time_ms is (despite its name) in microseconds, like out_time_us
+        if ((key === "out_time_us" || key === "out_time_ms") && duration > 0) {
+          const seconds = Number(value) / 1e6;
+          if (Number.isFinite(seconds))
+            onProgress(Math.min(1, Math.max(0, seconds / duration)));
+        }
+      }
+    };
+  }
+
+  return runProcess("ffmpeg", ffmpegPath, [...fullArgs, ...args], {
+    ...options,
+    timeout,
+    onStdout,
+  });
+}
+
+// Run ffprobe and resolve with everything it printed on stdout
+export function runFfprobe(args, options = {}) {
+  const { timeout = DEFAULT_FFPROBE_TIMEOUT } = options;
+  return runProcess("ffprobe", ffprobePath, ["-v", "error", ...args], {
+    ...options,
+    timeout,
+    collectStdout: true,
+  });
+}
+
+// Contents of a concat demuxer list. Each file is a path, or { path,
+// duration, outpoint } to stop reading it at `outpoint` (in its own
+// timestamps) and start the next file `duration` seconds after it. Paths are
+// quoted and escaped so any character (including quotes) survives.
+export function formatConcatList(files) {
+  return files
+    .map((file) => {
+      const { path, duration, outpoint } =
+        typeof file === "string" ? { path: file } : file;
+      const lines = [`file '${path.replace(/'/g, "'\\''")}'`];
+      if (duration !== undefined) lines.push(`duration ${duration}`);
+      if (outpoint !== undefined) lines.push(`outpoint ${outpoint}`);
+      return lines.join("\n");
+    })
+    .join("\n");
+}
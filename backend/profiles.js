@@ -0,0 +1,526 @@
+// --- Output profiles ---
+// Which containers we can write, the codecs each one accepts, and the
+// encoder flags for every codec.
+
+// `crf` is the default quality, `maxCrf` the top of the codec's CRF scale
+export const VIDEO_CODECS = {
+  h264: {
+    label: "H.264",
+    args: ["-c:v", "libx264", "-preset", "fast"],
+    crf: 23,
+    maxCrf: 51,
+  },
+  h265: {
+    label: "H.265 / HEVC",
+    args: ["-c:v", "libx265", "-preset", "fast"],
+    crf: 28,
+    maxCrf: 51,
+  },
+  vp9: {
+    label: "VP9",
+    args: [
+      "-c:v",
+      "libvpx-vp9",
+      "-row-mt",
+      "1",
+      "-deadline",
+      "good",
+      "-cpu-used",
+      "4",
+    ],
+    crf: 32,
+    maxCrf: 63,
+  },
+  av1: {
+    label: "AV1",
+    args: ["-c:v", "libaom-av1", "-row-mt", "1", "-cpu-used", "6"],
+    crf: 32,
+    maxCrf: 63,
+  },
+};
+
+// `bitrate` (kb/s) is the default, and what a target file size budgets for
+// the audio track; lossless codecs have none. `sampleRates` limits the rates
+// an encoder accepts.
+export const AUDIO_CODECS = {
+  aac: { label: "AAC", args: ["-c:a", "aac"], bitrate: 128 },
+  opus: {
+    label: "Opus",
+    args: ["-c:a", "libopus"],
+    bitrate: 128,
+    sampleRates: [8000, 12000, 16000, 24000, 48000],
+  },
+  mp3: { label: "MP3", args: ["-c:a", "libmp3lame"], bitrate: 192 },
+  pcm: { label: "PCM (uncompressed)", args: ["-c:a", "pcm_s16le"] },
+  flac: { label: "FLAC", args: ["-c:a", "flac"] },
+  none: { label: "No audio", args: ["-an"], bitrate: 0 },
+};
+
+// Named starting points for the quality controls. `crfOffset` shifts the
+// codec's default CRF, so one preset suits every codec.
+export const QUALITY_PRESETS = {
+  original: {
+    label: "Original",
+    description: "Source resolution and frame rate, balanced quality.",
+    settings: {},
+  },
+  chat: {
+    label: "Chat (under 25 MB)",
+    description: "Two-pass encode sized to fit chat upload limits.",
+    settings: { targetSize: 25 },
+  },
+  hd720: {
+    label: "720p",
+    description: "Scaled down to 720 lines, balanced quality.",
+    settings: { height: 720 },
+  },
+  hd1080: {
+    label: "1080p",
+    description: "Scaled down to 1080 lines, balanced quality.",
+    settings: { height: 1080 },
+  },
+  archive: {
+    label: "High-quality archive",
+    description: "Source resolution at a low CRF. Large files.",
+    settings: { crfOffset: -5 },
+  },
+};
+
+// `animated` containers are rendered from an H.264 intermediate in a final
+// pass and carry no audio; `audioOnly` ones drop the picture.
+export const CONTAINERS = {
+  mp4: {
+    label: "MP4",
+    extension: "mp4",
+    mimeType: "video/mp4",
+    videoCodecs: ["h264", "h265", "av1"],
+    audioCodecs: ["aac", "mp3", "none"],
+    copyable: true,
+  },
+  webm: {
+    label: "WebM",
+    extension: "webm",
+    mimeType: "video/webm",
+    videoCodecs: ["vp9", "av1"],
+    audioCodecs: ["opus", "none"],
+  },
+  mkv: {
+    label: "MKV",
+    extension: "mkv",
+    mimeType: "video/x-matroska",
+    videoCodecs: ["h264", "h265", "vp9", "av1"],
+    audioCodecs: ["aac", "opus", "mp3", "none"],
+    copyable: true,
+  },
+  mov: {
+    label: "MOV",
+    extension: "mov",
+    mimeType: "video/quicktime",
+    videoCodecs: ["h264", "h265"],
+    audioCodecs: ["aac", "mp3", "none"],
+    copyable: true,
+  },
+  gif: {
+    label: "GIF",
+    extension: "gif",
+    mimeType: "image/gif",
+    videoCodecs: [],
+    audioCodecs: [],
+    animated: true,
+  },
+  webp: {
+    label: "Animated WebP",
+    extension: "webp",
+    mimeType: "image/webp",
+    videoCodecs: [],
+    audioCodecs: [],
+    animated: true,
+  },
+  mp3: {
+    label: "MP3 (audio)",
+    extension: "mp3",
+    mimeType: "audio/mpeg",
+    videoCodecs: [],
+    audioCodecs: ["mp3"],
+    audioOnly: true,
+  },
+  m4a: {
+    label: "M4A (audio)",
+    extension: "m4a",
+    mimeType: "audio/mp4",
+    videoCodecs: [],
+    audioCodecs: ["aac"],
+    audioOnly: true,
+  },
+  opus: {
+    label: "Opus (audio)",
+    extension: "opus",
+    mimeType: "audio/ogg",
+    videoCodecs: [],
+    audioCodecs: ["opus"],
+    audioOnly: true,
+  },
+  wav: {
+    label: "WAV (audio)",
+    extension: "wav",
+    mimeType: "audio/wav",
+    videoCodecs: [],
+    audioCodecs: ["pcm"],
+    audioOnly: true,
+  },
+  flac: {
+    label: "FLAC (audio)",
+    extension: "flac",
+    mimeType: "audio/flac",
+    videoCodecs: [],
+    audioCodecs: ["flac"],
+    audioOnly: true,
+  },
+};
+
+export const DEFAULT_OUTPUT = {
+  container: "mp4",
+  videoCodec: "h264",
+  audioCodec: "aac",
+};
+export const DEFAULT_QUALITY_PRESET = "original";
+
+// Intermediate parts for animated outputs: high quality, quick to decode again
+const ANIMATION_SOURCE_ARGS = [
+  "-c:v",
+  "libx264",
+  "-preset",
+  "veryfast",
+  "-crf",
+  "18",
+  "-an",
+];
+const ANIMATION_FPS = 15;
+const ANIMATION_MAX_WIDTH = 480;
+
+// Intermediate parts for audio-only outputs: lossless, so the final encode
+// is the only lossy one (and FLAC parts don't join cleanly as copies)
+const AUDIO_SOURCE_ARGS = ["-vn", "-sn", "-dn", "-c:a", "pcm_s16le"];
+
+// Share of a target file size kept back for container overhead
+const SIZE_OVERHEAD = 0.03;
+// Below this a target size would only produce mush
+const MIN_VIDEO_BITRATE = 64; // kb/s
+
+// Fill in defaults for `output` and `quality` and check that the codecs suit
+// the container. Returns { profile, errors } with errors as { path, message }.
+export function resolveOutputProfile(output = {}, quality = {}) {
+  const errors = [];
+  const containerName = output.container || DEFAULT_OUTPUT.container;
+  const container = CONTAINERS[containerName];
+  if (!container) {
+    errors.push({ path: "body.output.container", message: `is not supported` });
+    return { profile: null, errors };
+  }
+
+  const pick = (key, allowed) => {
+    if (!allowed.length) {
+      if (output[key])
+        errors.push({
+          path: `body.output.${key}`,
+          message: `does not apply to ${container.label}`,
+        });
+      return null;
+    }
+    const value =
+      output[key] ||
+      (allowed.includes(DEFAULT_OUTPUT[key])
+        ? DEFAULT_OUTPUT[key]
+        : allowed[0]);
+    if (!allowed.includes(value))
+      errors.push({
+        path: `body.output.${key}`,
+        message: `${value} cannot be used in ${
+          container.label
+        } (use ${allowed.join(", ")})`,
+      });
+    return value;
+  };
+
+  const profile = {
+    container: containerName,
+    videoCodec: pick("videoCodec", container.videoCodecs),
+    audioCodec: pick("audioCodec", container.audioCodecs),
+    extension: container.extension,
+    mimeType: container.mimeType,
+    animated: Boolean(container.animated),
+    audioOnly: Boolean(container.audioOnly),
+    copyable: Boolean(container.copyable),
+  };
+  profile.quality = resolveQuality(profile, quality, errors);
+  return { profile, errors };
+}
+
+// Quality settings each kind of output ignores
+const VIDEO_SETTINGS = ["height", "fps", "crf", "maxBitrate", "targetSize"];
+const AUDIO_SETTINGS = ["audioBitrate", "sampleRate"];
+const UNUSED_SETTINGS = {
+  animated: ["crf", "maxBitrate", "targetSize", ...AUDIO_SETTINGS],
+  audioOnly: VIDEO_SETTINGS,
+};
+
+// Merge a quality preset with explicit overrides. Settings the output has no
+// use for are rejected when given explicitly and dropped when they come
+// from the preset.
+function resolveQuality(profile, quality, errors) {
+  const presetName = quality.preset || DEFAULT_QUALITY_PRESET;
+  const { crfOffset, ...presetSettings } = QUALITY_PRESETS[presetName].settings;
+  const settings = { preset: presetName, ...presetSettings };
+  for (const key of [...VIDEO_SETTINGS, ...AUDIO_SETTINGS])
+    if (quality[key] !== undefined) settings[key] = quality[key];
+
+  const fail = (key, message) =>
+    errors.push({ path: `body.quality.${key}`, message });
+
+  const kind = profile.animated ? "animated" : profile.audioOnly && "audioOnly";
+  for (const key of UNUSED_SETTINGS[kind] || []) {
+    if (quality[key] !== undefined)
+      fail(key, `does not apply to ${CONTAINERS[profile.container].label}`);
+    delete settings[key];
+  }
+
+  const audioCodec = AUDIO_CODECS[profile.audioCodec];
+  if (settings.audioBitrate !== undefined && audioCodec && !audioCodec.bitrate)
+    fail("audioBitrate", `does not apply to ${audioCodec.label} audio`);
+  if (
+    settings.sampleRate !== undefined &&
+    audioCodec?.sampleRates &&
+    !audioCodec.sampleRates.includes(settings.sampleRate)
+  )
+    fail(
+      "sampleRate",
+      `must be one of ${audioCodec.sampleRates.join(", ")} for ${
+        audioCodec.label
+      }`
+    );
+
+  const codec = VIDEO_CODECS[profile.videoCodec];
+  if (!codec) return settings;
+  if (quality.crf !== undefined && quality.targetSize !== undefined)
+    fail("crf", "cannot be combined with targetSize");
+  if (settings.crf === undefined && crfOffset !== undefined)
+    settings.crf = codec.crf + crfOffset;
+  if (settings.crf > codec.maxCrf)
+    fail("crf", `must be at most ${codec.maxCrf} for ${codec.label}`);
+  return settings;
+}
+
+// Whether the quality settings ask for anything a stream copy can't do
+// (a copy already keeps the source quality, so CRF alone doesn't count)
+export function changesQuality(profile) {
+  return ["height", "fps", "maxBitrate", "targetSize", ...AUDIO_SETTINGS].some(
+    (key) => profile.quality[key] !== undefined
+  );
+}
+
+// Turn a target file size (MB) into a video bitrate for `duration` seconds
+// of output. Sets profile.quality.videoBitrate (kb/s) and returns an error
+// message when the target is out of reach.
+export function applyTargetSize(profile, duration) {
+  const { targetSize, maxBitrate } = profile.quality;
+  if (!targetSize || !(duration > 0)) return null;
+
+  const totalBits = targetSize * 1024 * 1024 * 8 * (1 - SIZE_OVERHEAD);
+  const audioBitrate =
+    profile.quality.audioBitrate ?? AUDIO_CODECS[profile.audioCodec].bitrate;
+  let videoBitrate = Math.floor(totalBits / duration / 1000 - audioBitrate);
+  if (videoBitrate < MIN_VIDEO_BITRATE) {
+    const minimum =
+      ((MIN_VIDEO_BITRATE + audioBitrate) * 1000 * duration) /
+      8 /
+      (1 - SIZE_OVERHEAD) /
+      (1024 * 1024);
+    return `is too small for ${duration.toFixed(
+      1
+    )}s of video (needs at least ${Math.ceil(minimum)} MB)`;
+  }
+  if (maxBitrate) videoBitrate = Math.min(videoBitrate, maxBitrate);
+  profile.quality.videoBitrate = videoBitrate;
+  return null;
+}
+
+// Whether the output is rendered from intermediate parts in a final pass
+// instead of joining the parts as they are
+export function isRendered(profile) {
+  return profile.animated || profile.audioOnly;
+}
+
+// Extension of the per-segment parts a re-encoding job writes
+export function partExtension(profile) {
+  if (profile.animated) return "mp4";
+  if (profile.audioOnly) return "wav";
+  return profile.extension;
+}
+
+// Scale and frame rate filters; never scales up
+function videoFilters({ height, fps }) {
+  const filters = [];
+  if (height) filters.push(`scale=-2:'min(${height},ih)'`);
+  if (fps) filters.push(`fps=${fps}`);
+  return filters;
+}
+
+// Filters fitting a part into a shared frame (letterboxed) at a shared rate
+function normalizeVideoFilters({ width, height, fps }) {
+  return [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+    "setsar=1",
+    `fps=${fps}`,
+  ];
+}
+
+// Whether the parts are encoded in two passes (to hit a bitrate exactly)
+export function isTwoPass(profile) {
+  return !profile.animated && Boolean(profile.quality.videoBitrate);
+}
+
+// Stats files a two-pass encode with `logPrefix` leaves behind
+export function passLogFiles(profile, logPrefix) {
+  return profile.videoCodec === "h265"
+    ? [`${logPrefix}.log`, `${logPrefix}.log.cutree`]
+    : [`${logPrefix}-0.log`, `${logPrefix}-0.log.mbtree`];
+}
+
+// Encoder flags for the audio track, with any bitrate / sample rate override
+function audioArgs(profile) {
+  const codec = AUDIO_CODECS[profile.audioCodec];
+  const { audioBitrate = codec.bitrate, sampleRate } = profile.quality;
+  const args = [...codec.args];
+  if (audioBitrate) args.push("-b:a", `${audioBitrate}k`);
+  if (sampleRate) args.push("-ar", String(sampleRate));
+  return args;
+}
+
+// Encoder flags for the per-segment parts of a re-encoding job. For
+// two-pass encodes, `pass` (1 or 2) and `logPrefix` pick the pass; pass 1
+// writes no audio and its output should go to the null muxer. Parts of
+// different sources are brought to the `normalize` target's
+// { video: { width, height, fps }, audio: { sampleRate, channels } }.
+// `joined` parts are encoded from a filter graph over parts that were
+// already scaled, so they get no filters of their own.
+export function partEncodeArgs(
+  profile,
+  { pass, logPrefix, normalize, joined } = {}
+) {
+  const audioLayout = normalize?.audio
+    ? [
+        "-ar",
+        String(normalize.audio.sampleRate),
+        "-ac",
+        String(normalize.audio.channels),
+      ]
+    : [];
+  if (profile.animated)
+    return normalize?.video
+      ? [
+          ...ANIMATION_SOURCE_ARGS,
+          "-vf",
+          normalizeVideoFilters(normalize.video).join(","),
+        ]
+      : ANIMATION_SOURCE_ARGS;
+  if (profile.audioOnly) return [...AUDIO_SOURCE_ARGS, ...audioLayout];
+  const codec = VIDEO_CODECS[profile.videoCodec];
+  const { crf = codec.crf, maxBitrate, videoBitrate } = profile.quality;
+  const args = [...codec.args];
+
+  if (videoBitrate) {
+    args.push("-b:v", `${videoBitrate}k`);
+  } else {
+    args.push("-crf", String(crf));
+    // VP9/AV1 treat -b:v as the cap of a constrained-quality encode
+    if (["vp9", "av1"].includes(profile.videoCodec))
+      args.push("-b:v", maxBitrate ? `${maxBitrate}k` : "0");
+    else if (maxBitrate)
+      args.push("-maxrate", `${maxBitrate}k`, "-bufsize", `${maxBitrate * 2}k`);
+  }
+
+  if (pass)
+    args.push(
+      ...(profile.videoCodec === "h265"
+        ? ["-x265-params", `pass=${pass}:stats=${logPrefix}.log`]
+        : ["-pass", String(pass), "-passlogfile", logPrefix])
+    );
+
+  const filters = joined
+    ? []
+    : normalize?.video
+    ? normalizeVideoFilters(normalize.video)
+    : videoFilters(profile.quality);
+  if (filters.length) args.push("-vf", filters.join(","));
+
+  args.push(
+    ...(pass === 1 ? ["-an"] : [...audioArgs(profile), ...audioLayout])
+  );
+
+  // Apple players only recognise HEVC in MP4/MOV with the hvc1 tag
+  if (
+    profile.videoCodec === "h265" &&
+    ["mp4", "mov"].includes(profile.container)
+  )
+    args.push("-tag:v", "hvc1");
+  return args;
+}
+
+// Encoder flags that turn the joined parts of a rendered output into the
+// final file
+export function renderArgs(profile) {
+  if (profile.audioOnly) return ["-vn", ...audioArgs(profile)];
+  return animationArgs(profile);
+}
+
+// Encoder flags that turn the joined parts into an animated GIF / WebP
+function animationArgs(profile) {
+  const { height, fps = ANIMATION_FPS } = profile.quality;
+  const size = height
+    ? `-2:'min(${height},ih)'`
+    : `'min(${ANIMATION_MAX_WIDTH},iw)':-2`;
+  const scale = `fps=${fps},scale=${size}:flags=lanczos`;
+  if (profile.container === "gif")
+    return [
+      "-filter_complex",
+      `[0:v]${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+      "-loop",
+      "0",
+      "-an",
+    ];
+  return ["-vf", scale, "-c:v", "libwebp", "-q:v", "70", "-loop", "0", "-an"];
+}
+
+// What the editor needs to build its export panel
+export function describeOutputFormats() {
+  const label = (table) => (name) => ({
+    value: name,
+    label: table[name].label,
+    ...(table[name].maxCrf && {
+      crf: table[name].crf,
+      maxCrf: table[name].maxCrf,
+    }),
+    ...(table[name].bitrate && { bitrate: table[name].bitrate }),
+    ...(table[name].sampleRates && { sampleRates: table[name].sampleRates }),
+  });
+  return {
+    default: DEFAULT_OUTPUT,
+    defaultQualityPreset: DEFAULT_QUALITY_PRESET,
+    qualityPresets: Object.entries(QUALITY_PRESETS).map(([name, preset]) => ({
+      value: name,
+      label: preset.label,
+      description: preset.description,
+      settings: preset.settings,
+    })),
+    containers: Object.entries(CONTAINERS).map(([name, container]) => ({
+      value: name,
+      label: container.label,
+      copyable: Boolean(container.copyable),
+      animated: Boolean(container.animated),
+      audioOnly: Boolean(container.audioOnly),
+      videoCodecs: container.videoCodecs.map(label(VIDEO_CODECS)),
+      audioCodecs: container.audioCodecs.map(label(AUDIO_CODECS)),
+    })),
+  };
+}
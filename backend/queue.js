@@ -0,0 +1,25 @@
+// --- Fair job queue ---
+// Which waiting job runs next. Jobs only need a clientId here; the worker
+// pool in server.js owns the queue and the running set.
+
+// Jobs of `clientId` in `list` (any iterable of jobs)
+export function countJobs(clientId, list) {
+  let count = 0;
+  for (const job of list) if (job.clientId === clientId) count++;
+  return count;
+}
+
+// Order waiting jobs (`queue`, in arrival order) fairly: a job's rank is how
+// many jobs its client already has `running` or queued ahead of it, so
+// clients take turns instead of one client's backlog starving everybody
+// else. Ties keep arrival order.
+export function orderedQueue(queue, running) {
+  const seen = new Map(); // clientId -> jobs ranked so far
+  const ranked = queue.map((job, arrival) => {
+    const ahead = seen.get(job.clientId) || 0;
+    seen.set(job.clientId, ahead + 1);
+    return { job, arrival, rank: countJobs(job.clientId, running) + ahead };
+  });
+  ranked.sort((a, b) => a.rank - b.rank || a.arrival - b.arrival);
+  return ranked.map((entry) => entry.job);
+}
@@ -1,11 +1,63 @@
+import "dotenv/config";
 import express from "express";
 import multer from "multer";
 import cors from "cors";
 import path from "path";
 import fs from "fs";
-import { exec } from "child_process";
-import ffmpeg from "ffmpeg-static";
+import os from "os";
+import crypto from "crypto";
+import contentDisposition from "content-disposition";
 import { fileURLToPath } from "url";
+import {
+  runFfmpeg,
+  runFfprobe,
+  formatConcatList,
+  FfmpegAbortError,
+  FfmpegInputError,
+  FfmpegTimeoutError,
+} from "./ffmpeg.js";
+import {
+  CONTAINERS,
+  resolveOutputProfile,
+  changesQuality,
+  applyTargetSize,
+  isTwoPass,
+  passLogFiles,
+  partExtension,
+  partEncodeArgs,
+  isRendered,
+  renderArgs,
+  describeOutputFormats,
+} from "./profiles.js";
+import {
+  CHUNK_SIZE,
+  UploadError,
+  createUploadSession,
+  getUploadSession,
+  describeUploadSession,
+  writeChunk,
+  completeUpload,
+  discardUploadSession,
+  expireUploadSessions,
+} from "./uploads.js";
+import { openStore } from "./store.js";
+import { createStorage } from "./storage.js";
+import { createTokenSigner, isTokenUsable } from "./tokens.js";
+import { generateFilmstrip, generateWaveform } from "./timeline.js";
+import { detectScenes, detectSilences } from "./analysis.js";
+import { transitionArgs, transitionOverlap } from "./transitions.js";
+import { countJobs, orderedQueue } from "./queue.js";
+import {
+  processRequestSchema,
+  uploadInitSchema,
+  registerClientSchema,
+  analysisRequestSchema,
+  validate,
+  normalizeSegments,
+  checkTransitions,
+  invertSegments,
+  summarizeErrors,
+} from "./validation.js";
 
 // __dirname replacement for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,29 +66,120 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Directories
-const uploadsDir = path.join(__dirname, "uploads");
-const outputDir = path.join(__dirname, "output");
-const tempDir = path.join(__dirname, "temp");
+// Worker pool limits
+const MAX_CONCURRENT_JOBS =
+  Number(process.env.MAX_CONCURRENT_JOBS) ||
+  Math.max(1, Math.floor(os.cpus().length / 2));
+const MAX_QUEUE_SIZE = Number(process.env.MAX_QUEUE_SIZE) || 20;
+const MAX_QUEUED_JOBS_PER_CLIENT =
+  Number(process.env.MAX_QUEUED_JOBS_PER_CLIENT) || 3;
+// Cancel a job once nobody has been watching it for this long
+const ABANDONED_JOB_TIMEOUT = 15 * 1000;
 
-// Ensure directories exist
-[uploadsDir, outputDir, tempDir].forEach((dir) => {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+// Session lifecycle: clients heartbeat every HEARTBEAT_INTERVAL; one that
+// stays silent for CLIENT_TIMEOUT loses its files at the next cleanup run
+const HEARTBEAT_INTERVAL = 60 * 1000;
+const CLIENT_TIMEOUT = 5 * 60 * 1000;
+// Files nobody has used for this long are deleted regardless
+const FILE_MAX_AGE = 30 * 60 * 1000;
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+// Download links: lifetime and how many downloads each allows
+const DOWNLOAD_TOKEN_TTL =
+  Number(process.env.DOWNLOAD_TOKEN_TTL) * 1000 || FILE_MAX_AGE;
+const DOWNLOAD_TOKEN_MAX_USES =
+  Number(process.env.DOWNLOAD_TOKEN_MAX_USES) || 10;
+
+// Stream copies are much cheaper than encodes; used to weight progress
+const COPY_COST = 0.05;
+// Cut points closer than this to a keyframe count as on the keyframe
+const KEYFRAME_TOLERANCE = 0.001;
+// Copied cuts further than this (seconds) from their planned length are
+// re-encoded instead
+const COPY_DURATION_TOLERANCE = 0.15;
+
+// Scratch space for parts, lists and unfinished outputs; always local
+const tempDir = process.env.TEMP_DIR || path.join(__dirname, "temp");
+if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+// Names of the files the server writes there: job parts, pass logs, concat
+// lists, joined and unfinished outputs, upload parts and legacy uploads
+const tempFilePattern =
+  /^(?:(?:temp|passlog|list|joined|processed|upload)-.+|\d+-\d+(?:\.[^.]*)?)$/;
+
+// Filmstrips and waveforms of uploads; derived data, always local
+const previewDir = process.env.PREVIEW_DIR || path.join(__dirname, "previews");
+if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir, { recursive: true });
+
+// Uploads and finished outputs go to the configured storage driver
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || "local",
+  local: {
+    dirs: {
+      uploads: process.env.UPLOADS_DIR || path.join(__dirname, "uploads"),
+      output: process.env.OUTPUT_DIR || path.join(__dirname, "output"),
+    },
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    cacheDir: process.env.STORAGE_CACHE_DIR || path.join(__dirname, "cache"),
+    downloadUrlTtl: Number(process.env.DOWNLOAD_URL_TTL) || 300,
+  },
 });
+// Storage area of each tracked file type
+const storageAreas = { upload: "uploads", output: "output" };
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// --- Persistent state ---
+// Clients, tracked files, jobs and download tokens survive restarts
+const store = openStore({
+  driver: process.env.STORE_DRIVER || "sqlite",
+  filename:
+    process.env.STORE_PATH || path.join(__dirname, "data", "vidsnip.db"),
+});
+
+// Claims are kept as a Set; inUse (open downloads) only means something to
+// this process
+const trackedFileFormat = {
+  encode: ({ inUse, clients, ...data }) => ({ ...data, clients: [...clients] }),
+  decode: (data) => ({ ...data, clients: new Set(data.clients), inUse: 0 }),
+};
+
 // --- File tracking ---
 const fileTracker = {
-  uploads: new Map(), // filename -> { timestamp, clientId, inUse }
-  output: new Map(),
-  temp: new Map(),
+  uploads: store.collection("upload_files", trackedFileFormat), // filename -> { timestamp, clientId, clients, inUse }
+  output: store.collection("output_files", trackedFileFormat),
+  temp: store.collection("temp_files", trackedFileFormat),
 };
+// Uploads are stored under their content hash, so identical files are kept once
+const uploadsByHash = new Map(); // content hash -> upload filename
 
-const clients = new Map(); // clientId -> { lastActivity, files, originalName }
-const downloadTokens = new Map(); // token -> { filename, created, originalName }
+const clients = store.collection("clients"); // clientId -> { lastActivity, files }
+const downloadTokens = store.collection("download_tokens"); // token ID -> { filename, clientId, expiresAt, uses, maxUses, originalName, extension, mimeType }
+const jobs = store.collection("jobs", {
+  encode: persistedJob,
+  decode: restoreJob,
+}); // jobId -> { status, progress, subscribers, ... }
+const probeCache = new Map(); // upload filename -> Promise of media info
+const timelineCache = new Map(); // "<upload filename>:<kind>" -> Promise of filmstrip/waveform data
+const analysisCache = new Map(); // "<upload filename>:<settings>" -> running or finished analysis
+
+// Download links are signed. Without a configured secret one is generated
+// once and kept in the store, so links survive restarts.
+const settings = store.collection("settings");
+if (!process.env.DOWNLOAD_TOKEN_SECRET && !settings.has("downloadTokenSecret"))
+  settings.set("downloadTokenSecret", crypto.randomBytes(32).toString("hex"));
+const downloadTokenSigner = createTokenSigner(
+  process.env.DOWNLOAD_TOKEN_SECRET || settings.get("downloadTokenSecret")
+);
 
 // --- Client ID generation ---
 function generateClientId() {
@@ -44,48 +187,77 @@ function generateClientId() {
 }
 
 // --- Track files ---
+function trackerFor(type) {
+  return type === "upload"
+    ? fileTracker.uploads
+    : type === "output"
+    ? fileTracker.output
+    : fileTracker.temp;
+}
+
 function trackFile(filename, type, clientId) {
-  const tracker =
-    type === "upload"
-      ? fileTracker.uploads
-      : type === "output"
-      ? fileTracker.output
-      : fileTracker.temp;
+  const tracker = trackerFor(type);
 
-  tracker.set(filename, { timestamp: Date.now(), clientId, inUse: false });
+  // A deduplicated upload can be claimed by several clients
+  const existing = tracker.get(filename);
+  if (existing) {
+    existing.timestamp = Date.now();
+    existing.clients.add(clientId);
+    tracker.save(filename);
+  } else {
+    tracker.set(filename, {
+      timestamp: Date.now(),
+      clientId,
+      clients: new Set([clientId]),
+      inUse: 0,
+    });
+  }
 
   if (!clients.has(clientId))
     clients.set(clientId, { lastActivity: Date.now(), files: [] });
 
-  clients.get(clientId).files.push({ filename, type });
-  clients.get(clientId).lastActivity = Date.now();
+  const client = clients.get(clientId);
+  if (!client.files.some((f) => f.filename === filename && f.type === type))
+    client.files.push({ filename, type });
+  client.lastActivity = Date.now();
+  clients.save(clientId);
+}
+
+// Whether a queued or running job still reads this upload
+function isUploadBusy(filename) {
+  for (const job of jobs.values())
+    if (
+      !isJobFinished(job) &&
+      job.sources.some((source) => source.filename === filename)
+    )
+      return true;
+  return false;
 }
 
 // --- Delete file safely ---
 function deleteFile(filename, type) {
-  let tracker, filePath;
-  switch (type) {
-    case "upload":
-      tracker = fileTracker.uploads;
-      filePath = path.join(uploadsDir, filename);
-      break;
-    case "output":
-      tracker = fileTracker.output;
-      filePath = path.join(outputDir, filename);
-      break;
-    case "temp":
-      tracker = fileTracker.temp;
-      filePath = path.join(tempDir, filename);
-      break;
-  }
-
-  const data = tracker?.get(filename);
+  const tracker = trackerFor(type);
+  const data = tracker.get(filename);
   if (data?.inUse) return false; // Don't delete if currently being used
+  if (type === "upload") {
+    if (isUploadBusy(filename)) return false;
+    probeCache.delete(filename);
+    removeTimelinePreviews(filename);
+    for (const [key, entry] of analysisCache)
+      if (key.startsWith(`${filename}:`)) {
+        entry.abort.abort();
+        analysisCache.delete(key);
+      }
+    for (const [hash, name] of uploadsByHash)
+      if (name === filename) uploadsByHash.delete(hash);
+  }
+  tracker.delete(filename);
 
-  if (fs.existsSync(filePath)) {
+  if (type === "temp") {
+    const filePath = path.join(tempDir, filename);
+    if (!fs.existsSync(filePath)) return false;
     try {
       fs.unlinkSync(filePath);
-      tracker?.delete(filename);
       console.log(`Deleted ${type} file: ${filename}`);
       return true;
     } catch (e) {
@@ -93,14 +265,32 @@ function deleteFile(filename, type) {
       return false;
     }
   }
-  return false;
+
+  // Stored files are removed in the background; a failure leaves an untracked
+  // file that the next startup reconciliation deletes
+  storage
+    .remove(storageAreas[type], filename)
+    .then(() => console.log(`Deleted ${type} file: ${filename}`))
+    .catch((e) => console.error(`Error deleting ${type} file ${filename}:`, e));
+  return true;
+}
+
+// Drop a client's claim on a file; it is deleted once nobody holds one
+function releaseFile(filename, type, clientId) {
+  const tracker = trackerFor(type);
+  const data = tracker.get(filename);
+  data?.clients.delete(clientId);
+  tracker.save(filename);
+  if (!data?.clients.size) deleteFile(filename, type);
 }
 
 // --- Cleanup client files ---
 function cleanupClientFiles(clientId) {
   if (!clients.has(clientId)) return;
   const client = clients.get(clientId);
-  client.files.forEach((file) => deleteFile(file.filename, file.type));
+  client.files.forEach((file) =>
+    releaseFile(file.filename, file.type, clientId)
+  );
   clients.delete(clientId);
   console.log(`Cleaned up all files for client: ${clientId}`);
 }
@@ -108,14 +298,12 @@ function cleanupClientFiles(clientId) {
 // --- Scheduled cleanup ---
 function scheduledCleanup() {
   const now = Date.now();
-  const maxAge = 30 * 60 * 1000; // 30 mins
-  const heartbeatTimeout = 5 * 60 * 1000; // 5 mins for heartbeat timeout
 
   // Clean up old files from all trackers
   [fileTracker.uploads, fileTracker.output, fileTracker.temp].forEach(
     (tracker) => {
       for (const [filename, data] of tracker.entries()) {
-        if (!data.inUse && now - data.timestamp > maxAge) {
+        if (!data.inUse && now - data.timestamp > FILE_MAX_AGE) {
           deleteFile(
             filename,
             tracker === fileTracker.uploads
@@ -131,27 +319,1188 @@ function scheduledCleanup() {
 
   // Clean up inactive clients (no heartbeat for 5 minutes)
   for (const [clientId, client] of clients.entries()) {
-    if (now - client.lastActivity > heartbeatTimeout) {
+    if (now - client.lastActivity > CLIENT_TIMEOUT) {
       console.log(`Client ${clientId} inactive, cleaning up files...`);
       cleanupClientFiles(clientId);
     }
   }
 
+  // Forget finished jobs
+  for (const [jobId, job] of jobs.entries()) {
+    if (isJobFinished(job) && now - job.finishedAt > FILE_MAX_AGE)
+      jobs.delete(jobId);
+  }
+
+  expireUploadSessions(now);
+
   // Clean up expired download tokens
-  for (const [token, data] of downloadTokens.entries()) {
-    if (now - data.created > maxAge) {
-      downloadTokens.delete(token);
-      console.log(`Deleted expired download token: ${token}`);
+  for (const [id, data] of downloadTokens.entries()) {
+    if (now > data.expiresAt) {
+      downloadTokens.delete(id);
+      console.log(`Deleted expired download token: ${id}`);
     }
   }
 }
 
 // Run scheduled cleanup every 5 minutes
-setInterval(scheduledCleanup, 5 * 60 * 1000);
+setInterval(scheduledCleanup, CLEANUP_INTERVAL);
+
+// --- Jobs ---
+function generateJobId() {
+  return "job-" + Date.now() + "-" + Math.floor(Math.random() * 1e9);
+}
+
+function createJob({ sources, segments, clientId, mode, output }) {
+  const job = {
+    id: generateJobId(),
+    clientId,
+    sources, // [{ id, filename, originalName }]; segments refer to them by sourceId
+    segments,
+    mode,
+    output, // resolved output profile
+    warning: null,
+    status: "queued", // queued -> processing -> completed | failed | cancelled
+    stage: "queued",
+    queuePosition: null,
+    progress: 0, // overall percentage
+    segmentIndex: 0,
+    segmentCount: segments.length,
+    segmentProgress: 0,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    downloadToken: null,
+    result: null, // { duration, segments } of the finished output
+    error: null,
+    subscribers: new Set(), // open SSE responses
+    abandonTimer: null,
+    abort: new AbortController(), // stops the running ffmpeg step
+    cancelled: false,
+    tempFiles: [], // temp filenames owned by this job
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+// What is stored for a job; subscribers and ffmpeg handles are runtime-only
+function persistedJob({
+  subscribers,
+  abandonTimer,
+  abort,
+  cancelled,
+  queuePosition,
+  ...job
+}) {
+  return job;
+}
+
+// Rebuild a stored job's runtime fields
+function restoreJob(job) {
+  return {
+    ...job,
+    queuePosition: null,
+    subscribers: new Set(),
+    abandonTimer: null,
+    abort: new AbortController(),
+    cancelled: false,
+  };
+}
+
+function isJobFinished(job) {
+  return ["completed", "failed", "cancelled"].includes(job.status);
+}
+
+// Public view of a job (no internal handles)
+function serializeJob(job) {
+  let eta = null;
+  if (job.status === "processing" && job.progress > 0) {
+    const elapsed = (Date.now() - job.startedAt) / 1000;
+    eta = Math.max(0, (elapsed * (100 - job.progress)) / job.progress);
+  }
+
+  return {
+    id: job.id,
+    mode: job.mode,
+    container: job.output.container,
+    status: job.status,
+    stage: job.stage,
+    queuePosition: job.queuePosition,
+    progress: job.progress,
+    segmentIndex: job.segmentIndex,
+    segmentCount: job.segmentCount,
+    segmentProgress: job.segmentProgress,
+    eta,
+    downloadToken: job.downloadToken,
+    result: job.result,
+    warning: job.warning,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function sendJobEvent(res, job) {
+  res.write(`data: ${JSON.stringify(serializeJob(job))}\n\n`);
+}
+
+// Apply changes and push the new state to every listener
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  const finished = isJobFinished(job);
+  // Progress ticks are too frequent to be worth writing out
+  if ("status" in changes || "stage" in changes) jobs.save(job.id);
+  job.subscribers.forEach((res) => {
+    sendJobEvent(res, job);
+    if (finished) res.end();
+  });
+  if (finished) {
+    job.subscribers.clear();
+    clearTimeout(job.abandonTimer);
+  }
+}
+
+// --- Worker pool ---
+const jobQueue = []; // waiting jobs, in arrival order
+const runningJobs = new Set();
+
+function refreshQueuePositions() {
+  orderedQueue(jobQueue, runningJobs).forEach((job, i) => {
+    if (job.queuePosition !== i + 1) updateJob(job, { queuePosition: i + 1 });
+  });
+}
+
+// Shorter ffmpeg runs made for the editor (timeline previews, analysis) take
+// workers too, so the limit covers every ffmpeg process. Someone is waiting
+// on each of them, so they go ahead of queued jobs.
+const taskQueue = []; // { run, resolve, reject }
+let runningTasks = 0;
+
+const freeWorkers = () => MAX_CONCURRENT_JOBS - runningJobs.size - runningTasks;
+
+// Resolves with what `run` returns once it has had a worker. A task aborted
+// by `signal` while still waiting is dropped.
+function runPooled(run, signal) {
+  return new Promise((resolve, reject) => {
+    const task = { run, resolve, reject };
+    taskQueue.push(task);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        const index = taskQueue.indexOf(task);
+        if (index === -1) return;
+        taskQueue.splice(index, 1);
+        reject(new FfmpegAbortError("Cancelled while waiting for a worker"));
+      },
+      { once: true }
+    );
+    dispatchJobs();
+  });
+}
+
+// Start waiting tasks, then queued jobs, while there are free workers
+function dispatchJobs() {
+  while (freeWorkers() > 0 && taskQueue.length) {
+    const task = taskQueue.shift();
+    runningTasks++;
+    Promise.resolve()
+      .then(task.run)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        runningTasks--;
+        dispatchJobs();
+      });
+  }
+  while (freeWorkers() > 0 && jobQueue.length) {
+    const [next] = orderedQueue(jobQueue, runningJobs);
+    jobQueue.splice(jobQueue.indexOf(next), 1);
+    runningJobs.add(next);
+    runJob(next).finally(() => {
+      runningJobs.delete(next);
+      dispatchJobs();
+    });
+  }
+  refreshQueuePositions();
+}
+
+// Returns an error message if the job cannot be queued right now
+function checkQueueCapacity(clientId) {
+  if (jobQueue.length >= MAX_QUEUE_SIZE)
+    return "Server is busy, please try again later";
+  if (countJobs(clientId, jobQueue) >= MAX_QUEUED_JOBS_PER_CLIENT)
+    return "Too many jobs waiting for this client";
+  return null;
+}
+
+function enqueueJob(job) {
+  jobQueue.push(job);
+  dispatchJobs();
+}
+
+// --- Job cancellation ---
+// Queued jobs are dropped right away; running jobs abort their ffmpeg step
+// and finish as "cancelled" from runJob.
+function cancelJob(job) {
+  if (isJobFinished(job)) return false;
+
+  const queued = jobQueue.indexOf(job);
+  if (queued !== -1) {
+    jobQueue.splice(queued, 1);
+    updateJob(job, {
+      status: "cancelled",
+      stage: "done",
+      queuePosition: null,
+      finishedAt: Date.now(),
+    });
+    refreshQueuePositions();
+    return true;
+  }
+
+  job.cancelled = true;
+  job.abort.abort();
+  return true;
+}
+
+// Cancel the job if its last watcher disconnects and nobody comes back
+function watchForAbandonment(job) {
+  clearTimeout(job.abandonTimer);
+  if (isJobFinished(job) || job.subscribers.size > 0) return;
+  job.abandonTimer = setTimeout(() => {
+    if (job.subscribers.size === 0 && cancelJob(job))
+      console.log(`Job ${job.id} abandoned by client, cancelled.`);
+  }, ABANDONED_JOB_TIMEOUT);
+}
+
+// --- Media probing (ffprobe) ---
+// Container and first video/audio stream, as reported by ffprobe
+async function probeStreams(inputPath) {
+  const out = await runFfprobe([
+    "-show_format",
+    "-show_streams",
+    "-of",
+    "json",
+    inputPath,
+  ]);
+  const { format = {}, streams = [] } = JSON.parse(out);
+  return {
+    format,
+    streams,
+    video: streams.find((s) => s.codec_type === "video") || null,
+    audio: streams.find((s) => s.codec_type === "audio") || null,
+  };
+}
+
+// Keyframe timestamps (seconds) of the first video stream. Read from packet
+// flags so nothing has to be decoded.
+async function probeKeyframes(inputPath) {
+  const out = await runFfprobe([
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "packet=pts_time,flags",
+    "-of",
+    "csv=p=0",
+    inputPath,
+  ]);
+  return out
+    .split("\n")
+    .map((line) => line.trim().split(","))
+    .filter(([time, flags]) => flags?.startsWith("K"))
+    .map(([time]) => parseFloat(time))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+// Container duration (seconds) of a file, or null if ffprobe can't tell
+async function probeDuration(filePath) {
+  const out = await runFfprobe([
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "csv=p=0",
+    filePath,
+  ]);
+  return toNumber(out.trim()) || null;
+}
+
+// Where a part's timeline starts, and how far before that its first video
+// packet is decoded (B-frames are decoded ahead of when they are shown)
+async function probePartTiming(filePath) {
+  const out = await runFfprobe([
+    "-select_streams",
+    "v:0",
+    "-read_intervals",
+    "%+#1",
+    "-show_entries",
+    "format=start_time:packet=dts_time",
+    "-of",
+    "json",
+    filePath,
+  ]);
+  const { format = {}, packets = [] } = JSON.parse(out);
+  const start = toNumber(format.start_time) || 0;
+  const dts = toNumber(packets[0]?.dts_time);
+  return { start, lead: dts === null ? 0 : Math.max(0, start - dts) };
+}
+
+// Probe an upload once and reuse the result for every job on it
+function getMediaInfo(filename) {
+  if (!probeCache.has(filename)) {
+    const info = storage
+      .localPath("uploads", filename)
+      .then((inputPath) =>
+        Promise.all([probeStreams(inputPath), probeKeyframes(inputPath)])
+      )
+      .then(([streams, keyframes]) => ({ ...streams, keyframes }));
+    info.catch(() => probeCache.delete(filename));
+    probeCache.set(filename, info);
+  }
+  return probeCache.get(filename);
+}
+
+// --- Timeline previews (filmstrip and waveform) ---
+// Made on first request and kept next to each other in previewDir until the
+// upload is deleted: "<upload>.<kind>.json" holds the data, the filmstrip's
+// sprite sheet is "<upload>.sprite.jpg".
+const TIMELINE_KINDS = ["filmstrip", "waveform"];
+const timelineFilePattern =
+  /^(.+)\.(filmstrip\.json|waveform\.json|sprite\.jpg)$/;
+
+function spritePath(filename) {
+  return path.join(previewDir, `${filename}.sprite.jpg`);
+}
+
+function getTimelinePreview(filename, kind) {
+  const key = `${filename}:${kind}`;
+  if (!timelineCache.has(key)) {
+    const dataPath = path.join(previewDir, `${filename}.${kind}.json`);
+    const preview = fs.promises
+      .readFile(dataPath, "utf8")
+      .then(JSON.parse)
+      .catch(async () => {
+        const info = await getMediaInfo(filename);
+        const duration = toNumber(info.format.duration);
+        if (!duration) throw new Error("Unknown duration");
+        const data = await runPooled(async () => {
+          const inputPath = await storage.localPath("uploads", filename);
+          return kind === "filmstrip"
+            ? generateFilmstrip(inputPath, spritePath(filename), duration)
+            : generateWaveform(inputPath, duration);
+        });
+        await fs.promises.writeFile(dataPath, JSON.stringify(data));
+        return data;
+      });
+    preview.catch(() => timelineCache.delete(key));
+    timelineCache.set(key, preview);
+  }
+  return timelineCache.get(key);
+}
+
+function removeTimelinePreviews(filename) {
+  for (const kind of TIMELINE_KINDS)
+    timelineCache.delete(`${filename}:${kind}`);
+  for (const name of [
+    `${filename}.filmstrip.json`,
+    `${filename}.waveform.json`,
+    `${filename}.sprite.jpg`,
+  ])
+    fs.rm(path.join(previewDir, name), { force: true }, () => {});
+}
+
+// Send an upload's filmstrip or waveform data; the filmstrip needs a video
+// track and the waveform an audio track
+async function sendTimelinePreview(req, res, kind) {
+  const filename = path.basename(req.params.filename);
+  if (!fileTracker.uploads.has(filename))
+    return res.status(404).json({ error: "File not found" });
+
+  try {
+    const info = await getMediaInfo(filename);
+    if (!(kind === "filmstrip" ? info.video : info.audio))
+      return res.status(404).json({
+        error: `This video has no ${
+          kind === "filmstrip" ? "video" : "audio"
+        } track`,
+      });
+    res.json(await getTimelinePreview(filename, kind));
+  } catch (err) {
+    console.error(
+      `Could not make the ${kind} of ${filename}:`,
+      err.stderr || err.message
+    );
+    res.status(422).json({ error: "Could not read media file" });
+  }
+}
+
+// "30000/1001" -> 29.97
+function parseRate(rate) {
+  const [num, den = 1] = String(rate || "")
+    .split("/")
+    .map(Number);
+  return num && den ? Math.round((num / den) * 1000) / 1000 : null;
+}
+
+const toNumber = (value) =>
+  value === undefined || value === "N/A" ? null : Number(value);
+
+// Clockwise rotation a player applies when showing the stream
+function streamRotation(stream) {
+  const matrix = stream.side_data_list?.find(
+    (data) => data.rotation !== undefined
+  );
+  const degrees = matrix
+    ? -Number(matrix.rotation)
+    : Number(stream.tags?.rotate);
+  return Number.isFinite(degrees) ? ((degrees % 360) + 360) % 360 : 0;
+}
+
+// Client-facing summary of a probed upload
+function describeMedia(filename, info) {
+  const { format, streams, video, audio, keyframes } = info;
+  return {
+    filename,
+    container: format.format_name,
+    containerName: format.format_long_name,
+    duration: toNumber(format.duration),
+    size: toNumber(format.size),
+    bitrate: toNumber(format.bit_rate),
+    video: video && {
+      codec: video.codec_name,
+      profile: video.profile || null,
+      width: video.width,
+      height: video.height,
+      frameRate:
+        parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate),
+      pixelFormat: video.pix_fmt,
+      bitrate: toNumber(video.bit_rate),
+      rotation: streamRotation(video),
+    },
+    audio: audio && {
+      codec: audio.codec_name,
+      channels: audio.channels,
+      channelLayout: audio.channel_layout || null,
+      sampleRate: toNumber(audio.sample_rate),
+      bitrate: toNumber(audio.bit_rate),
+    },
+    streams: streams.map((stream) => ({
+      index: stream.index,
+      type: stream.codec_type,
+      codec: stream.codec_name,
+      language: stream.tags?.language || null,
+    })),
+    keyframes,
+  };
+}
+
+// --- Cut planning ---
+// Codecs we can stream-copy through MPEG-TS parts into the final MP4
+const COPYABLE_CODECS = {
+  video: ["h264", "hevc"],
+  audio: ["aac", "mp3", "ac3", "eac3"],
+};
+// Encoders that rebuild smart-cut edges in the same format as the source
+const SMART_CUT_ENCODERS = {
+  video: { h264: "libx264", hevc: "libx265" },
+  audio: { aac: "aac", mp3: "libmp3lame" },
+};
+
+// Why the source cannot be cut with `mode`, or null if it can
+function copyModeIssue(info, mode) {
+  const { video, audio } = info;
+  if (!video) return "the file has no video stream";
+  if (!COPYABLE_CODECS.video.includes(video.codec_name))
+    return `${video.codec_name} video cannot be stream-copied`;
+  if (audio && !COPYABLE_CODECS.audio.includes(audio.codec_name))
+    return `${audio.codec_name} audio cannot be stream-copied`;
+  if (mode === "smart") {
+    if (!SMART_CUT_ENCODERS.video[video.codec_name])
+      return `smart cut does not support ${video.codec_name} video`;
+    if (audio && !SMART_CUT_ENCODERS.audio[audio.codec_name])
+      return `smart cut does not support ${audio.codec_name} audio`;
+  }
+  return null;
+}
+
+// Why parts of these sources could not be joined as copies, or null
+function sourceFormatIssue(infos) {
+  const describe = ({ video, audio }) =>
+    JSON.stringify([
+      video?.codec_name,
+      video?.width,
+      video?.height,
+      video?.pix_fmt,
+      video?.r_frame_rate,
+      audio?.codec_name,
+      audio?.sample_rate,
+      audio?.channels,
+    ]);
+  const first = describe(infos[0]);
+  return infos.every((info) => describe(info) === first)
+    ? null
+    : "the sources have different formats";
+}
+
+// Even number at or below `value` (most encoders need even frame sizes)
+const evenFloor = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+// Frame size, frame rate and audio layout every part of a multi-source job
+// is brought to: the first source's picture (within the quality height) and
+// the first audio track's sample rate, in at most two channels.
+function normalizationTarget(profile, infos) {
+  const { height: maxHeight, fps, sampleRate } = profile.quality;
+  const target = {};
+
+  const video = infos.find((info) => info.video)?.video;
+  if (video && !profile.audioOnly) {
+    // Frames are decoded upright, so rotated sources swap their sides
+    const rotation = Math.abs(
+      Number(
+        video.tags?.rotate ??
+          video.side_data_list?.find((d) => d.rotation !== undefined)
+            ?.rotation ??
+          0
+      )
+    );
+    let [width, height] =
+      rotation % 180 === 90
+        ? [video.height, video.width]
+        : [video.width, video.height];
+    if (maxHeight && height > maxHeight) {
+      width = (width * maxHeight) / height;
+      height = maxHeight;
+    }
+    const [num, den] = String(video.r_frame_rate).split("/").map(Number);
+    target.video = {
+      width: evenFloor(width),
+      height: evenFloor(height),
+      fps: fps || (num > 0 && den > 0 ? `${num}/${den}` : 30),
+    };
+  }
+
+  const audio = infos.find((info) => info.audio)?.audio;
+  if (!profile.animated)
+    target.audio = {
+      sampleRate: sampleRate || toNumber(audio?.sample_rate) || 48000,
+      channels: Math.min(2, audio?.channels || 2),
+    };
+  return target;
+}
+
+// Encoder flags producing fragments that concat cleanly with copied packets
+function matchingEncodeArgs({ video, audio }) {
+  const args = [
+    "-c:v",
+    SMART_CUT_ENCODERS.video[video.codec_name],
+    "-preset",
+    "fast",
+    "-crf",
+    "18",
+    "-pix_fmt",
+    video.pix_fmt,
+    "-r",
+    video.r_frame_rate,
+  ];
+  const profile = video.profile?.toLowerCase();
+  if (
+    video.codec_name === "h264" &&
+    ["baseline", "main", "high"].includes(profile)
+  )
+    args.push("-profile:v", profile);
+  if (audio)
+    args.push(
+      "-c:a",
+      SMART_CUT_ENCODERS.audio[audio.codec_name],
+      "-ar",
+      String(audio.sample_rate),
+      "-ac",
+      String(audio.channels)
+    );
+  return args;
+}
+
+const formatSeconds = (seconds) => Math.max(0, seconds).toFixed(3);
+
+// Last keyframe at or before `time` (0 if there is none)
+function keyframeBefore(keyframes, time) {
+  let found = 0;
+  for (const k of keyframes) {
+    if (k > time + KEYFRAME_TOLERANCE) break;
+    found = k;
+  }
+  return found;
+}
+
+// First keyframe at or after `time` (undefined if there is none)
+function keyframeAfter(keyframes, time) {
+  return keyframes.find((k) => k >= time - KEYFRAME_TOLERANCE);
+}
+
+// Build the ffmpeg steps that turn each segment into one or more parts.
+// `inputs` maps each source ID to its { path, info } (info is only needed
+// by the copy modes). Every step is { segmentIndex, args, duration, work,
+// output, scratch? }; analysis passes have no output and list their stats
+// files in `scratch`.
+function planSegmentSteps(job, inputs) {
+  const { segments, mode } = job;
+  const stamp = Date.now();
+  const steps = [];
+  let snapped = 0;
+
+  // Re-encoded parts of several sources share one frame size, frame rate
+  // and audio layout so they can be joined; sources without audio get a
+  // silent track
+  const normalize =
+    mode === "reencode" && job.sources.length > 1
+      ? normalizationTarget(
+          job.output,
+          [...inputs.values()].map((input) => input.info)
+        )
+      : null;
+  const streamArgs = (info) => {
+    if (!normalize) return { inputs: [], maps: [] };
+    const maps = [];
+    if (normalize.video) maps.push("-map", "0:v:0");
+    if (!normalize.audio) return { inputs: [], maps };
+    if (info.audio) return { inputs: [], maps: [...maps, "-map", "0:a:0"] };
+    const { sampleRate, channels } = normalize.audio;
+    return {
+      inputs: [
+        "-f",
+        "lavfi",
+        "-i",
+        `anullsrc=channel_layout=${
+          channels === 1 ? "mono" : "stereo"
+        }:sample_rate=${sampleRate}`,
+      ],
+      maps: [...maps, "-map", "1:a:0"],
+    };
+  };
+
+  // Stream-copy from `keyframe` to `end`. Input seeking starts a copy at the
+  // last keyframe before the seek target; aiming halfway to the next keyframe
+  // keeps timestamp offsets (B-frame delay, edit lists) from landing it on
+  // the one before.
+  const copyStep = (i, part, keyframe, end) => {
+    const { path: inputPath, info } = inputs.get(segments[i].sourceId);
+    const output = path.join(tempDir, `temp-${i}-${part}-${stamp}.ts`);
+    const next =
+      info.keyframes.find((k) => k > keyframe + KEYFRAME_TOLERANCE) ?? end;
+    const seek = keyframe + (Math.min(next, end) - keyframe) / 2;
+    steps.push({
+      segmentIndex: i,
+      args: [
+        "-ss",
+        formatSeconds(seek),
+        "-i",
+        inputPath,
+        "-t",
+        formatSeconds(end - seek),
+        "-c",
+        "copy",
+        "-sn",
+        "-dn",
+        "-avoid_negative_ts",
+        "make_zero",
+        output,
+      ],
+      duration: end - keyframe,
+      work: (end - keyframe) * COPY_COST,
+      output,
+    });
+  };
+
+  const encodeStep = (i, part, start, duration) => {
+    const { path: inputPath, info } = inputs.get(segments[i].sourceId);
+    const output = path.join(tempDir, `temp-${i}-${part}-${stamp}.ts`);
+    steps.push({
+      segmentIndex: i,
+      args: [
+        "-ss",
+        formatSeconds(start),
+        "-i",
+        inputPath,
+        "-t",
+        formatSeconds(duration),
+        ...matchingEncodeArgs(info),
+        "-sn",
+        "-dn",
+        "-avoid_negative_ts",
+        "make_zero",
+        output,
+      ],
+      duration,
+      work: duration,
+      output,
+    });
+  };
+
+  segments.forEach((seg, i) => {
+    const start = Number(seg.start);
+    const end = Number(seg.end);
+    const { path: inputPath, info } = inputs.get(seg.sourceId);
+
+    if (mode === "reencode") {
+      // NOTE: We are now re-encoding instead of using '-c copy'.
+      // This is slower but much more reliable and creates valid, playable segments.
+      const output = path.join(
+        tempDir,
+        `temp-${i}-${stamp}.${partExtension(job.output)}`
+      );
+      const streams = streamArgs(info);
+      const cut = [
+        "-i",
+        inputPath,
+        ...streams.inputs,
+        "-ss",
+        String(start),
+        "-to",
+        String(end),
+        ...streams.maps,
+      ];
+      const twoPass = isTwoPass(job.output);
+      const logPrefix = path.join(tempDir, `passlog-${i}-${stamp}`);
+      if (twoPass) {
+        // A bitrate budget is met far more closely with an analysis pass
+        steps.push({
+          segmentIndex: i,
+          args: [
+            ...cut,
+            ...partEncodeArgs(job.output, { pass: 1, logPrefix, normalize }),
+            "-f",
+            "null",
+            "-",
+          ],
+          duration: end - start,
+          work: end - start,
+          output: null,
+          scratch: passLogFiles(job.output, logPrefix),
+        });
+      }
+      steps.push({
+        segmentIndex: i,
+        args: [
+          ...cut,
+          ...partEncodeArgs(
+            job.output,
+            twoPass ? { pass: 2, logPrefix, normalize } : { normalize }
+          ),
+          "-avoid_negative_ts",
+          "make_zero",
+          output,
+        ],
+        duration: end - start,
+        work: end - start,
+        output,
+      });
+    } else if (mode === "fast") {
+      // Copies can only begin on a keyframe, so the start moves back to one
+      const keyframe = keyframeBefore(info.keyframes, start);
+      if (start - keyframe > KEYFRAME_TOLERANCE) snapped++;
+      copyStep(i, "copy", keyframe, end);
+    } else {
+      // Smart cut: re-encode from the cut point up to the next keyframe and
+      // stream-copy from there. A copy may stop on any frame (everything it
+      // references precedes it), so only the leading fragment is re-encoded.
+      const keyframe = keyframeAfter(info.keyframes, start);
+      if (keyframe === undefined || keyframe >= end - KEYFRAME_TOLERANCE) {
+        encodeStep(i, "edge", start, end - start);
+      } else if (keyframe - start <= KEYFRAME_TOLERANCE) {
+        copyStep(i, "copy", keyframe, end);
+      } else {
+        encodeStep(i, "edge", start, keyframe - start);
+        copyStep(i, "copy", keyframe, end);
+      }
+    }
+  });
+
+  if (snapped)
+    job.warning = `Fast mode moved ${snapped} segment start${
+      snapped === 1 ? "" : "s"
+    } back to the previous keyframe`;
+
+  return steps;
+}
+
+// --- Run a processing job ---
+async function runJob(job) {
+  const { sources, segments, clientId } = job;
+  const outputFilename = `processed-${Date.now()}.${job.output.extension}`;
+  // Written locally, then handed to storage once complete
+  const outputPath = path.join(tempDir, outputFilename);
+
+  // The output is named after the first upload it is cut from
+  const originalName = sources[0].originalName || "video";
+
+  const totalDuration = segments.reduce(
+    (sum, seg) =>
+      sum +
+      Math.max(0, Number(seg.end) - Number(seg.start)) -
+      transitionOverlap(seg.transition),
+    0
+  );
+  const hasTransitions = segments.some((seg) => seg.transition);
+
+  // Progress is weighted by seconds of media encoded (copies count for
+  // COPY_COST of that); totals are filled in once the plan is known.
+  let totalWork = 1;
+  let doneWork = 0;
+  let segmentWork = [];
+  let segmentDone = [];
+
+  const reportProgress = (step, fraction) => {
+    const progress = ((doneWork + step.work * fraction) / totalWork) * 100;
+    const changes = { progress: Math.min(100, Math.round(progress * 10) / 10) };
+    const i = step.segmentIndex;
+    if (i === undefined)
+      changes.segmentProgress = Math.round(fraction * 1000) / 10;
+    else if (segmentWork[i] > 0)
+      changes.segmentProgress =
+        Math.round(
+          ((segmentDone[i] + step.work * fraction) / segmentWork[i]) * 1000
+        ) / 10;
+    updateJob(job, changes);
+  };
+
+  // Run one ffmpeg step as part of this job, honouring cancellation
+  const runStep = async (step) => {
+    await runFfmpeg(step.args, {
+      duration: step.duration,
+      onProgress: (fraction) => reportProgress(step, fraction),
+      signal: job.abort.signal,
+    });
+    doneWork += step.work;
+    if (step.segmentIndex !== undefined)
+      segmentDone[step.segmentIndex] += step.work;
+  };
+
+  const addTempFile = (filePath) => {
+    trackFile(path.basename(filePath), "temp", clientId);
+    job.tempFiles.push(path.basename(filePath));
+  };
+
+  updateJob(job, {
+    status: "processing",
+    stage: "analyzing",
+    queuePosition: null,
+    startedAt: Date.now(),
+  });
+
+  try {
+    // Copy-based modes need codec and keyframe details of the sources, and
+    // joining several sources needs their formats
+    const probe = job.mode !== "reencode" || sources.length > 1;
+    const inputs = new Map();
+    for (const { id, filename } of sources)
+      inputs.set(id, {
+        path: await storage.localPath("uploads", filename),
+        info: probe ? await getMediaInfo(filename) : null,
+      });
+
+    if (job.mode !== "reencode") {
+      const infos = [...inputs.values()].map((input) => input.info);
+      const issue = !job.output.copyable
+        ? `${
+            CONTAINERS[job.output.container].label
+          } output cannot be stream-copied`
+        : changesQuality(job.output)
+        ? "the quality settings need re-encoding"
+        : hasTransitions
+        ? "transitions need re-encoding"
+        : infos.map((info) => copyModeIssue(info, job.mode)).find(Boolean) ||
+          sourceFormatIssue(infos);
+      if (issue) {
+        console.log(`Job ${job.id}: ${issue}, falling back to re-encoding.`);
+        updateJob(job, {
+          mode: "reencode",
+          warning: `Re-encoded instead: ${issue}`,
+        });
+      }
+    }
+
+    const steps = planSegmentSteps(job, inputs);
+    steps.forEach((step) =>
+      [step.output, ...(step.scratch || [])]
+        .filter(Boolean)
+        .forEach(addTempFile)
+    );
+
+    // Parts from one mode share codec settings, so the concat is a copy;
+    // animated and audio-only outputs are rendered from the joined parts.
+    // Transitions re-encode the parts into one before that.
+    const rendered = isRendered(job.output);
+    const concatStep = {
+      args: null,
+      duration: totalDuration,
+      work: rendered ? totalDuration : totalDuration * COPY_COST,
+    };
+    const transitionStep = hasTransitions
+      ? {
+          args: null,
+          duration: totalDuration,
+          work: totalDuration,
+          output: path.join(
+            tempDir,
+            `joined-${Date.now()}.${partExtension(job.output)}`
+          ),
+        }
+      : null;
+    if (transitionStep) addTempFile(transitionStep.output);
+    segmentWork = segments.map(() => 0);
+    segmentDone = segments.map(() => 0);
+    steps.forEach((step) => (segmentWork[step.segmentIndex] += step.work));
+    totalWork =
+      segmentWork.reduce((sum, w) => sum + w, 0) +
+        concatStep.work +
+        (transitionStep?.work || 0) || 1;
+
+    updateJob(job, { stage: "segments", warning: job.warning });
+
+    // Cut segments sequentially
+    let lastSegment = -1;
+    for (const step of steps) {
+      const i = step.segmentIndex;
+      if (i !== lastSegment) {
+        console.log(`Processing segment ${i + 1}/${segments.length}...`);
+        updateJob(job, { segmentIndex: i, segmentProgress: 0 });
+        lastSegment = i;
+      }
+      try {
+        await runStep(step);
+      } catch (err) {
+        if (!job.cancelled)
+          console.error(
+            `FFmpeg error on segment ${i}:`,
+            err.stderr || err.message
+          );
+        throw err;
+      }
+    }
+
+    const partSteps = steps.filter((step) => step.output);
+    let parts = partSteps.map((step) => step.output);
+    if (transitionStep) {
+      // Re-encoding jobs make one part per segment, and the parts tell the
+      // filter graph which streams (and frame rate) there are
+      console.log("Adding transitions...");
+      updateJob(job, { stage: "transitions", segmentProgress: 0 });
+      const { video, audio } = await probeStreams(parts[0]);
+      transitionStep.args = [
+        ...parts.flatMap((part) => ["-i", part]),
+        ...transitionArgs(
+          segments.map((seg, i) => ({
+            duration: partSteps[i].duration,
+            transition: seg.transition,
+          })),
+          { video, audio: Boolean(audio) }
+        ),
+        ...partEncodeArgs(job.output, { joined: true }),
+        transitionStep.output,
+      ];
+      try {
+        await runStep(transitionStep);
+      } catch (err) {
+        if (!job.cancelled)
+          console.error(
+            `FFmpeg error on transitions:`,
+            err.stderr || err.message
+          );
+        throw err;
+      }
+      parts = [transitionStep.output];
+    }
+
+    // Copied parts run a little past their cut (whole audio frames, frames
+    // reordered after it) and MPEG-TS parts don't start at zero, so each one
+    // is cut off at its planned length and the next follows on from there.
+    // A part is cut early by however far the next one decodes ahead of its
+    // start, so timestamps keep increasing across the join.
+    const copied = job.mode !== "reencode";
+    const plannedDuration = partSteps.reduce(
+      (sum, step) => sum + step.duration,
+      0
+    );
+    if (copied) {
+      const timings = [];
+      for (const step of partSteps)
+        timings.push(await probePartTiming(step.output));
+      parts = partSteps.map((step, i) => ({
+        path: step.output,
+        duration: formatSeconds(step.duration),
+        outpoint: formatSeconds(
+          timings[i].start + step.duration - (timings[i + 1]?.lead || 0)
+        ),
+      }));
+    }
+
+    // Create file list for concat
+    const listFile = path.join(tempDir, `list-${Date.now()}.txt`);
+    fs.writeFileSync(listFile, formatConcatList(parts));
+    addTempFile(listFile);
+
+    console.log("Concatenating segments...");
+    updateJob(job, { stage: "concat", segmentProgress: 0 });
+    const concatInput = ["-f", "concat", "-safe", "0", "-i", listFile];
+    concatStep.args = rendered
+      ? [...concatInput, ...renderArgs(job.output), outputPath]
+      : [...concatInput, "-c", "copy", outputPath];
+    try {
+      await runStep(concatStep);
+    } catch (err) {
+      if (err instanceof FfmpegAbortError || rendered) throw err;
+      // Parts that refuse to join as-is get one re-encoding pass instead
+      console.error(
+        `Copy concat failed, re-encoding:`,
+        err.stderr || err.message
+      );
+      const reencodeStep = {
+        args: [...concatInput, ...partEncodeArgs(job.output), outputPath],
+        duration: totalDuration,
+        work: totalDuration,
+      };
+      totalWork += reencodeStep.work;
+      try {
+        await runStep(reencodeStep);
+      } catch (err) {
+        if (!job.cancelled)
+          console.error(`FFmpeg error on concat:`, err.stderr || err.message);
+        throw err;
+      }
+    }
+
+    // Delete temp files
+    cleanupJobTempFiles(job);
+
+    const outputDuration = await probeDuration(outputPath).catch(() => null);
+    if (
+      copied &&
+      outputDuration !== null &&
+      Math.abs(outputDuration - plannedDuration) > COPY_DURATION_TOLERANCE
+    ) {
+      // The copied parts didn't join up as planned; start over re-encoding
+      console.log(
+        `Job ${job.id}: output is ${outputDuration}s instead of ${formatSeconds(
+          plannedDuration
+        )}s, falling back to re-encoding.`
+      );
+      fs.rmSync(outputPath, { force: true });
+      updateJob(job, {
+        mode: "reencode",
+        warning: "Re-encoded instead: the copied parts did not line up",
+      });
+      return runJob(job);
+    }
+
+    const result = describeResult(segments, steps, outputDuration);
+
+    // Store and track the final output file. Cancelling no longer stops an
+    // ffmpeg step here, so the flag is checked before the job can finish.
+    if (job.cancelled) throw new Error("Job was cancelled");
+    updateJob(job, { stage: "storing" });
+    await storage.put("output", outputFilename, outputPath);
+    if (job.cancelled) {
+      await storage.remove("output", outputFilename);
+      throw new Error("Job was cancelled");
+    }
+    trackFile(outputFilename, "output", clientId);
+
+    // Generate a download token bound to the client
+    const { id, token } = downloadTokenSigner.issue(clientId);
+
+    // Extract the filename without extension
+    const originalNameWithoutExt = path.parse(originalName).name;
+
+    downloadTokens.set(id, {
+      filename: outputFilename,
+      clientId,
+      created: Date.now(),
+      expiresAt: Date.now() + DOWNLOAD_TOKEN_TTL,
+      uses: 0,
+      maxUses: DOWNLOAD_TOKEN_MAX_USES,
+      originalName: originalNameWithoutExt,
+      extension: job.output.extension,
+      mimeType: job.output.mimeType,
+    });
+
+    console.log(`Job ${job.id} complete.`);
+    updateJob(job, {
+      status: "completed",
+      stage: "done",
+      progress: 100,
+      downloadToken: token,
+      result,
+      finishedAt: Date.now(),
+    });
+  } catch (err) {
+    cleanupJobTempFiles(job);
+    // Drop a partially written output
+    fs.rmSync(outputPath, { force: true });
+
+    if (job.cancelled) {
+      console.log(`Job ${job.id} cancelled.`);
+      updateJob(job, {
+        status: "cancelled",
+        stage: "done",
+        finishedAt: Date.now(),
+      });
+    } else {
+      console.error(`Job ${job.id} failed:`, err.message);
+      updateJob(job, {
+        status: "failed",
+        stage: "done",
+        error: describeJobError(err),
+        finishedAt: Date.now(),
+      });
+    }
+  }
+}
+
+// Where each cut segment ended up in the output. `sourceStart` is where its
+// part of the source really begins (fast mode moves starts to keyframes);
+// segments joined by a transition overlap by its duration.
+function describeResult(segments, steps, probedDuration) {
+  const lengths = segments.map(() => 0);
+  for (const step of steps)
+    if (step.output) lengths[step.segmentIndex] += step.duration;
+
+  let position = 0;
+  const placed = segments.map((seg, i) => {
+    const length = lengths[i];
+    const segment = {
+      sourceId: seg.sourceId,
+      start: position,
+      end: position + length,
+      sourceStart: seg.end - length,
+      sourceEnd: seg.end,
+    };
+    if (seg.transition) segment.transition = seg.transition;
+    // A transition overlaps this segment with the next one
+    position += length - transitionOverlap(seg.transition);
+    return segment;
+  });
+  return { duration: probedDuration ?? position, segments: placed };
+}
+
+// Client-facing reason for a failed job
+function describeJobError(err) {
+  if (err instanceof FfmpegInputError)
+    return "The video file could not be read";
+  if (err instanceof FfmpegTimeoutError) return "Video processing timed out";
+  return "Video processing failed";
+}
+
+// Remove the scratch files a job created: its parts (temp-*.ts for copied
+// cuts; re-encoded ones in the output's part format, .wav for audio-only),
+// two-pass logs (passlog-*), the file transitions join the parts into
+// (joined-*) and the concat list (list-*.txt)
+function cleanupJobTempFiles(job) {
+  job.tempFiles.forEach((f) => deleteFile(f, "temp"));
+  job.tempFiles = [];
+}
 
 // --- Multer setup ---
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadsDir),
+// Legacy uploads land in temp and are then handed to storage
+const diskStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, tempDir),
   filename: (req, file, cb) =>
     cb(
       null,
@@ -161,41 +1510,137 @@ const storage = multer.diskStorage({
         path.extname(file.originalname)
     ),
 });
-const upload = multer({ storage, limits: { fileSize: 500 * 1024 * 1024 } }); // 500MB limit
+const upload = multer({
+  storage: diskStorage,
+  limits: { fileSize: 500 * 1024 * 1024 },
+}); // 500MB limit
 
 // --- API Endpoints ---
 
+function sendValidationErrors(res, errors) {
+  res.status(400).json({
+    error: `Invalid request: ${summarizeErrors(errors)}`,
+    details: errors,
+  });
+}
+
+function sendUploadError(res, err) {
+  if (!(err instanceof UploadError)) {
+    console.error("Upload error:", err);
+    return res.status(500).json({ error: "Upload failed" });
+  }
+  res.status(err.status).json({ error: err.message, ...err.details });
+}
+
+// Tidy version of an uploaded file's extension
+function uploadExtension(originalName) {
+  return path
+    .extname(originalName)
+    .replace(/[^\w.]/g, "")
+    .toLowerCase();
+}
+
+// Filename of an upload with this content hash, if it is still stored
+function findStoredUpload(contentHash) {
+  const filename = uploadsByHash.get(contentHash);
+  if (filename && fileTracker.uploads.has(filename)) return filename;
+  uploadsByHash.delete(contentHash);
+  return null;
+}
+
+// Record activity for a client (creating it if needed) and keep its files
+// from aging out while it is around
+function touchClient(clientId) {
+  const now = Date.now();
+  const client = clients.get(clientId) || { files: [] };
+  client.lastActivity = now;
+  clients.set(clientId, client);
+
+  for (const { filename, type } of client.files) {
+    const tracker = trackerFor(type);
+    const data = tracker.get(filename);
+    if (!data) continue;
+    data.timestamp = now;
+    tracker.save(filename);
+  }
+}
+
+// How long a client's files are kept if it goes quiet now
+function describeRetention(clientId) {
+  return {
+    heartbeatInterval: HEARTBEAT_INTERVAL,
+    clientTimeout: CLIENT_TIMEOUT,
+    retainedUntil: clients.get(clientId).lastActivity + CLIENT_TIMEOUT,
+  };
+}
+
+// Register a finished upload for its client, under the name the client gave it
+function registerUpload(filename, originalName, clientId) {
+  trackFile(filename, "upload", clientId);
+  const client = clients.get(clientId);
+  const file = client.files.find(
+    (f) => f.filename === filename && f.type === "upload"
+  );
+  file.originalName = originalName;
+  clients.save(clientId);
+}
+
+// The name a client uploaded a file under
+function uploadOriginalName(clientId, filename) {
+  return clients
+    .get(clientId)
+    ?.files.find((f) => f.filename === filename && f.type === "upload")
+    ?.originalName;
+}
+
 // Generate client ID
 app.get("/client-id", (req, res) => {
   const clientId = generateClientId();
-  res.json({ clientId });
+  touchClient(clientId);
+  res.json({ clientId, ...describeRetention(clientId) });
+});
+
+// Register a client again after the server forgot it (idle too long or
+// cleaned up); files it had are gone and must be uploaded again
+app.post("/clients", (req, res) => {
+  const errors = validate(req.body, registerClientSchema);
+  if (errors.length) return sendValidationErrors(res, errors);
+
+  const { clientId } = req.body;
+  const known = clients.has(clientId);
+  touchClient(clientId);
+  res
+    .status(known ? 200 : 201)
+    .json({ clientId, ...describeRetention(clientId) });
 });
 
 // Heartbeat endpoint to keep client active
 app.post("/heartbeat", (req, res) => {
   const { clientId } = req.body;
   if (!clientId) return res.status(400).json({ error: "Client ID required" });
-  
+
   if (clients.has(clientId)) {
-    clients.get(clientId).lastActivity = Date.now();
-    res.json({ status: "active" });
+    touchClient(clientId);
+    res.json({ status: "active", ...describeRetention(clientId) });
   } else {
     res.status(404).json({ error: "Client not found" });
   }
 });
 
 // Upload video
-app.post("/upload", upload.single("video"), (req, res) => {
+app.post("/upload", upload.single("video"), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
+  try {
+    await storage.put("uploads", req.file.filename, req.file.path);
+  } catch (err) {
+    console.error("Storing upload failed:", err);
+    fs.rmSync(req.file.path, { force: true });
+    return res.status(500).json({ error: "Upload failed" });
+  }
+
   const clientId = req.body.clientId || generateClientId();
-  trackFile(req.file.filename, "upload", clientId);
-  
-  // Store the original filename in the client data
-  if (!clients.has(clientId))
-    clients.set(clientId, { lastActivity: Date.now(), files: [] });
-  
-  clients.get(clientId).originalName = req.file.originalname;
+  registerUpload(req.file.filename, req.file.originalname, clientId);
 
   res.json({
     message: "Uploaded successfully",
@@ -205,121 +1650,506 @@ app.post("/upload", upload.single("video"), (req, res) => {
   });
 });
 
-// Process video segments
-app.post("/process", async (req, res) => {
-  const { filename, segments, clientId } = req.body;
-  if (!filename || !segments || !Array.isArray(segments) || !segments.length)
-    return res.status(400).json({ error: "Invalid request" });
+// --- Resumable uploads ---
+// POST /uploads opens a session, chunks go to PUT /uploads/:id/chunks/:index
+// with their SHA-256 in X-Chunk-Checksum, and POST /uploads/:id/complete
+// assembles the file. GET /uploads/:id lists the chunks received so far.
 
-  const inputPath = path.join(uploadsDir, filename);
-  if (!fs.existsSync(inputPath))
-    return res.status(404).json({ error: "File not found" });
+app.post("/uploads", (req, res) => {
+  const errors = validate(req.body, uploadInitSchema);
+  if (errors.length) return sendValidationErrors(res, errors);
 
-  const outputFilename = `processed-${Date.now()}.mp4`;
-  const outputPath = path.join(outputDir, outputFilename);
+  const { filename, size, contentHash } = req.body;
+  const clientId = req.body.clientId || generateClientId();
 
-  // Get the original filename from client data
-  const clientData = clients.get(clientId);
-  const originalName = clientData?.originalName || "video";
+  // Files the server already has are not sent again
+  const stored = contentHash && findStoredUpload(contentHash);
+  if (stored) {
+    registerUpload(stored, filename, clientId);
+    console.log(`Upload of ${filename} matched stored file ${stored}`);
+    return res.json({
+      message: "Already uploaded",
+      existing: true,
+      filename: stored,
+      originalname: filename,
+      clientId,
+      contentHash,
+    });
+  }
 
-  // Temporary segment files
-  const tempFiles = segments.map((seg, i) =>
-    path.join(tempDir, `temp-${i}-${Date.now()}.mp4`)
-  );
-  tempFiles.forEach((f) => trackFile(path.basename(f), "temp", clientId));
+  try {
+    const session = createUploadSession({
+      partPath: path.join(
+        tempDir,
+        `upload-${Date.now()}-${Math.floor(Math.random() * 1e9)}.part`
+      ),
+      originalName: filename,
+      size,
+      clientId,
+      contentHash,
+    });
+    console.log(`Upload ${session.id} started: ${filename} (${size} bytes)`);
+    res.status(201).json({ ...describeUploadSession(session), clientId });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
+app.get("/uploads/:id", (req, res) => {
   try {
-    // Process segments sequentially with RE-ENCODING for reliability
-    for (let i = 0; i < segments.length; i++) {
-      const seg = segments[i];
-      // NOTE: We are now re-encoding instead of using '-c copy'.
-      // This is slower but much more reliable and creates valid, playable segments.
-      const cmd = `"${ffmpeg}" -i "${inputPath}" -ss ${seg.start} -to ${seg.end} -c:v libx264 -c:a aac -preset fast -crf 23 -avoid_negative_ts make_zero "${tempFiles[i]}"`;
-
-      console.log(`Processing segment ${i + 1}/${segments.length}...`);
-      await new Promise((resolve, reject) => {
-        exec(cmd, (err, stderr, stdout) => {
-          if (err) {
-            console.error(`FFmpeg error on segment ${i}:`, stderr);
-            return reject(err);
-          }
-          resolve();
-        });
-      });
+    res.json(describeUploadSession(getUploadSession(req.params.id)));
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
+
+app.put(
+  "/uploads/:id/chunks/:index",
+  express.raw({ type: "application/octet-stream", limit: CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const session = getUploadSession(req.params.id);
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      await writeChunk(
+        session,
+        Number(req.params.index),
+        data,
+        req.get("X-Chunk-Checksum")
+      );
+      res.json({ received: session.received.size });
+    } catch (err) {
+      sendUploadError(res, err);
     }
+  }
+);
 
-    // Create file list for concat
-    const listFile = path.join(tempDir, `list-${Date.now()}.txt`);
-    const content = tempFiles.map((f) => `file '${f}'`).join("\n");
-    fs.writeFileSync(listFile, content);
-    trackFile(path.basename(listFile), "temp", clientId);
+app.post("/uploads/:id/complete", async (req, res) => {
+  try {
+    const session = getUploadSession(req.params.id);
+    const contentHash = completeUpload(session);
 
-    // Concatenate with RE-ENCODING to ensure a clean final file
-    console.log("Concatenating segments...");
-    await new Promise((resolve, reject) => {
-      const cmd = `"${ffmpeg}" -f concat -safe 0 -i "${listFile}" -c:v libx264 -c:a aac -preset fast -crf 23 "${outputPath}"`;
-      exec(cmd, (err, stderr, stdout) => {
-        if (err) {
-          console.error(`FFmpeg error on concat:`, stderr);
-          return reject(err);
-        }
-        resolve();
-      });
+    let filename = findStoredUpload(contentHash);
+    if (filename) {
+      // Someone else finished the same file first
+      await fs.promises.rm(session.partPath, { force: true });
+    } else {
+      filename = contentHash + uploadExtension(session.originalName);
+      try {
+        await storage.put("uploads", filename, session.partPath);
+      } catch (err) {
+        await fs.promises.rm(session.partPath, { force: true });
+        throw err;
+      }
+      uploadsByHash.set(contentHash, filename);
+    }
+
+    registerUpload(filename, session.originalName, session.clientId);
+    console.log(`Upload ${session.id} complete: ${filename}`);
+    res.json({
+      message: "Uploaded successfully",
+      filename,
+      originalname: session.originalName,
+      clientId: session.clientId,
+      contentHash,
     });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
-    // Delete temp files
-    tempFiles.forEach((f) => deleteFile(path.basename(f), "temp"));
-    deleteFile(path.basename(listFile), "temp");
+app.delete("/uploads/:id", (req, res) => {
+  try {
+    discardUploadSession(getUploadSession(req.params.id));
+    res.json({ message: "Upload discarded" });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
-    // Track the final output file
-    trackFile(outputFilename, "output", clientId);
+// Containers and codecs the export panel can offer
+app.get("/output-formats", (req, res) => {
+  res.json(describeOutputFormats());
+});
 
-    // Generate a one-time download token
-    const token = `dl-${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
-    
-    // Extract the filename without extension
-    const originalNameWithoutExt = path.parse(originalName).name;
-    
-    downloadTokens.set(token, {
-      filename: outputFilename,
-      created: Date.now(),
-      originalName: originalNameWithoutExt
+// Media details of an upload
+app.get("/probe/:filename", async (req, res) => {
+  const filename = path.basename(req.params.filename);
+  if (!fileTracker.uploads.has(filename))
+    return res.status(404).json({ error: "File not found" });
+
+  try {
+    const info = await getMediaInfo(filename);
+    res.json(describeMedia(filename, info));
+  } catch (err) {
+    console.error(`Probe failed for ${filename}:`, err.stderr || err.message);
+    res.status(422).json({ error: "Could not read media file" });
+  }
+});
+
+// Thumbnail layout of an upload's filmstrip
+app.get("/filmstrip/:filename", (req, res) =>
+  sendTimelinePreview(req, res, "filmstrip")
+);
+
+// The filmstrip's sprite sheet
+app.get("/filmstrip/:filename/sprite.jpg", async (req, res) => {
+  const filename = path.basename(req.params.filename);
+  if (!fileTracker.uploads.has(filename))
+    return res.status(404).json({ error: "File not found" });
+
+  try {
+    await getTimelinePreview(filename, "filmstrip");
+  } catch (err) {
+    return res.status(422).json({ error: "Could not read media file" });
+  }
+  res.sendFile(spritePath(filename), { maxAge: FILE_MAX_AGE });
+});
+
+// Audio peaks of an upload
+app.get("/waveform/:filename", (req, res) =>
+  sendTimelinePreview(req, res, "waveform")
+);
+
+// --- Scene and silence detection ---
+const DEFAULT_SCENE_THRESHOLD = 0.3;
+const DEFAULT_SILENCE_THRESHOLD = -35; // dB
+const DEFAULT_MIN_SILENCE = 0.5; // seconds
+
+// Analyze an upload once per combination of settings. Returns the cache
+// entry: { analysis (Promise), abort, waiting (requests), settled }.
+function analyzeUpload(filename, info, settings) {
+  const key = `${filename}:${Object.values(settings).join(":")}`;
+  if (!analysisCache.has(key)) {
+    const duration = toNumber(info.format.duration);
+    const abort = new AbortController();
+    const { signal } = abort;
+    const analysis = runPooled(async () => {
+      const inputPath = await storage.localPath("uploads", filename);
+      return {
+        duration,
+        scenes: info.video
+          ? await detectScenes(inputPath, {
+              threshold: settings.sceneThreshold,
+              signal,
+            })
+          : [],
+        silences: info.audio
+          ? await detectSilences(inputPath, {
+              noise: settings.silenceThreshold,
+              minDuration: settings.minSilence,
+              duration,
+              signal,
+            })
+          : [],
+      };
+    }, signal);
+    const entry = { analysis, abort, waiting: 0, settled: false };
+    analysis
+      .catch(() => {
+        if (analysisCache.get(key) === entry) analysisCache.delete(key);
+      })
+      .finally(() => (entry.settled = true));
+    analysisCache.set(key, entry);
+  }
+  return analysisCache.get(key);
+}
+
+// Candidate cut points (scene changes) and silent ranges of an upload
+app.post("/analyze", async (req, res) => {
+  const schemaErrors = validate(req.body, analysisRequestSchema);
+  if (schemaErrors.length) return sendValidationErrors(res, schemaErrors);
+
+  const {
+    filename,
+    sceneThreshold = DEFAULT_SCENE_THRESHOLD,
+    silenceThreshold = DEFAULT_SILENCE_THRESHOLD,
+    minSilence = DEFAULT_MIN_SILENCE,
+  } = req.body;
+  if (!fileTracker.uploads.has(filename))
+    return res.status(404).json({ error: "File not found" });
+
+  try {
+    const info = await getMediaInfo(filename);
+    const entry = analyzeUpload(filename, info, {
+      sceneThreshold,
+      silenceThreshold,
+      minSilence,
     });
+    // Stop the analysis once nobody is waiting for it any more
+    entry.waiting++;
+    res.on("close", () => {
+      if (--entry.waiting === 0 && !entry.settled) entry.abort.abort();
+    });
+    res.json(await entry.analysis);
+  } catch (err) {
+    if (err instanceof FfmpegAbortError) return;
+    console.error(
+      `Analysis failed for ${filename}:`,
+      err.stderr || err.message
+    );
+    res.status(422).json({ error: "Could not analyze media file" });
+  }
+});
+
+// Source a job's segments come from when the request names one `filename`
+const DEFAULT_SOURCE_ID = "main";
 
-    console.log("Processing complete.");
-    res.json({ message: "Video processed", downloadToken: token });
+// Problems with the request's choice of uploads (`given` is body.sources)
+function checkSources(sources, given) {
+  if (!given && !sources[0].filename)
+    return [{ path: "body.filename", message: "is required" }];
+  const errors = [];
+  const seen = new Set();
+  sources.forEach((source, i) => {
+    if (seen.has(source.id))
+      errors.push({ path: `body.sources[${i}].id`, message: "is used twice" });
+    seen.add(source.id);
+  });
+  return errors;
+}
+
+// Process video segments (queued as a background job)
+app.post("/process", async (req, res) => {
+  const schemaErrors = validate(req.body, processRequestSchema);
+  if (schemaErrors.length) return sendValidationErrors(res, schemaErrors);
+
+  const { profile, errors: profileErrors } = resolveOutputProfile(
+    req.body.output,
+    req.body.quality
+  );
+  if (profileErrors.length) return sendValidationErrors(res, profileErrors);
+
+  const {
+    clientId,
+    mode = "reencode",
+    selection = "keep",
+    keepOrder = false,
+  } = req.body;
+  const sources = req.body.sources || [
+    { id: DEFAULT_SOURCE_ID, filename: req.body.filename },
+  ];
+  const sourceErrors = checkSources(sources, req.body.sources);
+  if (sourceErrors.length) return sendValidationErrors(res, sourceErrors);
+
+  for (const { filename } of sources) {
+    const upload = fileTracker.uploads.get(filename);
+    if (!upload) return res.status(404).json({ error: "File not found" });
+    // Every export counts as using the upload, so it isn't cleaned up meanwhile
+    upload.timestamp = Date.now();
+    fileTracker.uploads.save(filename);
+  }
+
+  // Segments are checked against the probed media, not the browser's idea of it
+  let infos;
+  try {
+    infos = await Promise.all(
+      sources.map((source) => getMediaInfo(source.filename))
+    );
   } catch (err) {
-    console.error("Processing error:", err);
-    res.status(500).json({ error: "Video processing failed" });
+    return res.status(422).json({ error: "Could not read media file" });
+  }
+  if (profile.audioOnly && !infos.some((info) => info.audio))
+    return res
+      .status(422)
+      .json({ error: "This video has no audio track to extract" });
+  // Joined videos need a picture from every source
+  const blank = infos.findIndex((info) => !info.video);
+  if (!profile.audioOnly && sources.length > 1 && blank !== -1)
+    return res
+      .status(422)
+      .json({ error: `Source "${sources[blank].id}" has no video track` });
+
+  const durations = new Map(
+    sources.map((source, i) => [source.id, toNumber(infos[i].format.duration)])
+  );
+  const { segments: marked, errors } = normalizeSegments(
+    req.body.segments.map((seg) => ({
+      ...seg,
+      sourceId: seg.sourceId ?? sources[0].id,
+    })),
+    durations,
+    { keepOrder: keepOrder && selection === "keep" }
+  );
+  if (errors.length) return sendValidationErrors(res, errors);
+
+  // In remove mode the marked segments are cut out and the rest of every
+  // source is kept
+  let segments = marked;
+  if (selection === "remove") {
+    if ([...durations.values()].some((duration) => !duration))
+      return res
+        .status(422)
+        .json({ error: "Could not tell how long the video is" });
+    segments = sources.flatMap(({ id }) =>
+      invertSegments(
+        marked.filter((seg) => seg.sourceId === id),
+        durations.get(id)
+      ).map((seg) => ({ ...seg, sourceId: id }))
+    );
+    if (!segments.length)
+      return sendValidationErrors(res, [
+        { path: "body.segments", message: "would remove the whole video" },
+      ]);
+  }
+
+  // Transitions join the segments in export order, so they are checked
+  // against it (segments cut out in remove mode have none)
+  const transitionErrors = checkTransitions(segments);
+  if (transitionErrors.length)
+    return sendValidationErrors(res, transitionErrors);
+
+  const totalDuration = segments.reduce(
+    (sum, seg) => sum + seg.end - seg.start - transitionOverlap(seg.transition),
+    0
+  );
+  const sizeError = applyTargetSize(profile, totalDuration);
+  if (sizeError)
+    return sendValidationErrors(res, [
+      { path: "body.quality.targetSize", message: sizeError },
+    ]);
+
+  const busy = checkQueueCapacity(clientId);
+  if (busy) {
+    res.set("Retry-After", "30");
+    return res.status(429).json({ error: busy });
   }
+
+  const job = createJob({
+    sources: sources.map((source) => ({
+      ...source,
+      originalName: uploadOriginalName(clientId, source.filename),
+    })),
+    segments,
+    clientId,
+    mode,
+    output: profile,
+  });
+  enqueueJob(job);
+
+  res.status(202).json({
+    message: "Job queued",
+    jobId: job.id,
+    queuePosition: job.queuePosition,
+    segments,
+  });
+});
+
+// Job status
+// The job a request names, if it belongs to the client asking (clientId in
+// the query); other clients' jobs are reported as not found
+function findClientJob(req) {
+  const { clientId } = req.query;
+  const job = jobs.get(req.params.id);
+  return clientId && job?.clientId === clientId ? job : null;
+}
+
+app.get("/jobs/:id", (req, res) => {
+  const job = findClientJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(serializeJob(job));
 });
 
-// One-time download endpoint
-app.get("/download/:token", (req, res) => {
-  const { token } = req.params;
-  const data = downloadTokens.get(token);
+// Live job progress (Server-Sent Events)
+app.get("/jobs/:id/events", (req, res) => {
+  const job = findClientJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  sendJobEvent(res, job);
+  if (isJobFinished(job)) return res.end();
+
+  job.subscribers.add(res);
+  clearTimeout(job.abandonTimer);
+  req.on("close", () => {
+    job.subscribers.delete(res);
+    watchForAbandonment(job);
+  });
+});
+
+// Cancel a queued or running job
+app.delete("/jobs/:id", (req, res) => {
+  const job = findClientJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!cancelJob(job))
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  res.json({
+    message: job.status === "cancelled" ? "Job cancelled" : "Cancelling job",
+    job: serializeJob(job),
+  });
+});
+
+// Serve a job's output to the client its token was issued to. Range requests
+// are supported; with `countUse`, requests starting at the beginning of the
+// file count against the token's allowed uses.
+async function serveOutput(req, res, { disposition, countUse }) {
+  const id = downloadTokenSigner.verify(req.params.token, req.query.clientId);
+  const data = id && downloadTokens.get(id);
   if (!data)
     return res.status(404).send("Download link has expired or is invalid.");
 
-  const filePath = path.join(outputDir, data.filename);
-  if (!fs.existsSync(filePath))
-    return res.status(404).send("File not found on server.");
+  const now = Date.now();
+  const newUse = countUse && !/^bytes=(?!0-)/.test(req.headers.range || "");
+  if (!isTokenUsable(data, { now, newUse }))
+    return res.status(410).send("Download link has expired.");
+
+  try {
+    if (!(await storage.exists("output", data.filename)))
+      return res.status(404).send("File not found on server.");
+  } catch (err) {
+    console.error("Storage error on download:", err.message);
+    return res.status(502).send("Storage is unavailable.");
+  }
+
+  if (newUse) {
+    data.uses++;
+    downloadTokens.save(id);
+  }
+
+  // Use the original filename with "-vidsnip-edited" appended
+  const downloadName = `${data.originalName}-vidsnip-edited.${data.extension}`;
+
+  // Object storage serves the file itself through a short-lived signed link
+  const directUrl = storage.downloadUrl("output", data.filename, {
+    downloadName,
+    mimeType: data.mimeType,
+    disposition,
+    expiresIn: (data.expiresAt - now) / 1000,
+  });
+  if (directUrl) return res.redirect(directUrl);
 
   // Mark file as in use to prevent cleanup during download
   const fileData = fileTracker.output.get(data.filename);
-  if (fileData) fileData.inUse = true;
+  if (fileData) fileData.inUse++;
 
-  // Use the original filename with "-vidsnip-edited" appended
-  const downloadName = `${data.originalName}-vidsnip-edited.mp4`;
-  
-  res.download(filePath, downloadName, (err) => {
-    // Cleanup after download
-    if (fileData) fileData.inUse = false;
-    // Optionally delete the file immediately after download
-    // deleteFile(data.filename, 'output');
-    downloadTokens.delete(token);
+  const filePath = await storage.localPath("output", data.filename);
+  const options = {
+    headers: {
+      "Content-Type": data.mimeType,
+      "Content-Disposition": contentDisposition(downloadName, {
+        type: disposition,
+      }),
+    },
+  };
+  res.sendFile(filePath, options, () => {
+    if (fileData) fileData.inUse--;
   });
-});
+}
+
+// Download a result (needs the clientId the token was issued to)
+app.get("/download/:token", (req, res) =>
+  serveOutput(req, res, { disposition: "attachment", countUse: true })
+);
+
+// Stream a result for the preview player; doesn't use up the download link
+app.get("/preview/:token", (req, res) =>
+  serveOutput(req, res, { disposition: "inline", countUse: false })
+);
 
 // Manual cleanup endpoint
 app.post("/cleanup", (req, res) => {
@@ -329,5 +2159,102 @@ app.post("/cleanup", (req, res) => {
   res.json({ message: "Client files cleaned" });
 });
 
-// Start server
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+// --- Startup reconciliation ---
+// Bring the store, the storage backend and the temp directory back in line
+// after a restart. Jobs and upload sessions die with the process, so
+// unfinished jobs are failed and temp files deleted. Records of files that
+// are gone are dropped; untracked uploads (and outputs a download link points
+// at) are adopted and age out like any other file, anything else is deleted.
+async function reconcileStore() {
+  const now = Date.now();
+
+  for (const job of jobs.values()) {
+    if (isJobFinished(job)) continue;
+    updateJob(job, {
+      status: "failed",
+      stage: "done",
+      error: "Interrupted by a server restart",
+      finishedAt: now,
+    });
+  }
+
+  const stored = {};
+  for (const [type, area] of Object.entries(storageAreas))
+    stored[type] = await storage.list(area);
+
+  const outputs = new Set(stored.output.map((file) => file.name));
+  for (const [token, data] of downloadTokens.entries())
+    if (!outputs.has(data.filename)) downloadTokens.delete(token);
+  const downloadable = new Set(
+    [...downloadTokens.values()].map((data) => data.filename)
+  );
+
+  for (const [type, files] of Object.entries(stored)) {
+    const tracker = trackerFor(type);
+    const present = new Set(files.map((file) => file.name));
+
+    for (const filename of [...tracker.keys()])
+      if (!present.has(filename)) tracker.delete(filename);
+
+    for (const { name, modified } of files) {
+      if (tracker.has(name)) continue;
+      if (type === "upload" || downloadable.has(name)) {
+        tracker.set(name, {
+          timestamp: modified,
+          clientId: null,
+          clients: new Set(),
+          inUse: 0,
+        });
+        console.log(`Adopted untracked ${type} file: ${name}`);
+      } else {
+        await storage.remove(storageAreas[type], name);
+        console.log(`Deleted stray ${type} file: ${name}`);
+      }
+    }
+  }
+
+  // Only files named the way the server names them are removed; TEMP_DIR
+  // may point at a directory other programs use too
+  for (const filename of [...fileTracker.temp.keys()])
+    fileTracker.temp.delete(filename);
+  for (const entry of fs.readdirSync(tempDir, { withFileTypes: true })) {
+    if (!entry.isFile() || !tempFilePattern.test(entry.name)) continue;
+    fs.rmSync(path.join(tempDir, entry.name), { force: true });
+    console.log(`Deleted stray temp file: ${entry.name}`);
+  }
+
+  // Timeline previews are only kept for tracked uploads; files the server
+  // didn't write are left alone
+  for (const entry of fs.readdirSync(previewDir, { withFileTypes: true })) {
+    const [, upload] = entry.name.match(timelineFilePattern) || [];
+    if (!entry.isFile() || !upload || fileTracker.uploads.has(upload)) continue;
+    fs.rmSync(path.join(previewDir, entry.name), { force: true });
+    console.log(`Deleted stray timeline preview: ${entry.name}`);
+  }
+
+  // Clients keep only their claims on files that are still tracked
+  for (const [clientId, client] of clients.entries()) {
+    const files = client.files.filter((file) =>
+      trackerFor(file.type).has(file.filename)
+    );
+    if (files.length === client.files.length) continue;
+    client.files = files;
+    clients.save(clientId);
+  }
+
+  // Content-addressed uploads are named after their hash
+  for (const filename of fileTracker.uploads.keys()) {
+    const { name } = path.parse(filename);
+    if (/^[0-9a-f]{64}$/.test(name)) uploadsByHash.set(name, filename);
+  }
+}
+
+// Start server once state and storage agree
+reconcileStore()
+  .then(() =>
+    app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
+  )
+  .catch((err) => {
+    console.error("Startup reconciliation failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,441 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+// --- File storage ---
+// Uploads and outputs live in named areas ("uploads", "output") of a storage
+// driver; temp files always stay on the local disk. Drivers share one async
+// interface:
+//   put(area, name, sourcePath)   move a local file into storage
+//   localPath(area, name)         a local path ffmpeg can read
+//   exists(area, name), remove(area, name)
+//   list(area)                    [{ name, modified }]
+//   downloadUrl(area, name, { downloadName, mimeType, disposition, expiresIn })
+//                                 direct link for clients, or null if the
+//                                 server has to stream the file itself
+
+export const STORAGE_AREAS = ["uploads", "output"];
+
+// A storage request failed; `status` is the backend's HTTP status, if any
+export class StorageError extends Error {
+  constructor(message, { status = null, code = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function checkArea(area) {
+  if (!STORAGE_AREAS.includes(area))
+    throw new StorageError(`Unknown storage area: ${area}`);
+}
+
+// rename() cannot cross filesystems; fall back to copying
+async function moveFile(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.rm(from, { force: true });
+  }
+}
+
+// --- Local disk ---
+export class LocalStorage {
+  constructor({ dirs }) {
+    this.name = "local";
+    this.dirs = {}; // area -> absolute directory
+    for (const [area, dir] of Object.entries(dirs)) {
+      this.dirs[area] = path.resolve(dir);
+      fs.mkdirSync(this.dirs[area], { recursive: true });
+    }
+  }
+
+  path(area, name) {
+    checkArea(area);
+    return path.join(this.dirs[area], path.basename(name));
+  }
+
+  async put(area, name, sourcePath) {
+    await moveFile(sourcePath, this.path(area, name));
+  }
+
+  async localPath(area, name) {
+    return this.path(area, name);
+  }
+
+  async exists(area, name) {
+    try {
+      await fs.promises.access(this.path(area, name));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async remove(area, name) {
+    await fs.promises.rm(this.path(area, name), { force: true });
+  }
+
+  async list(area) {
+    checkArea(area);
+    const dir = this.dirs[area];
+    const names = await fs.promises.readdir(dir);
+    return Promise.all(
+      names.map(async (name) => ({
+        name,
+        modified: (await fs.promises.stat(path.join(dir, name))).mtimeMs,
+      }))
+    );
+  }
+
+  downloadUrl() {
+    return null;
+  }
+}
+
+// --- S3-compatible object storage ---
+// Talks to the S3 REST API directly with AWS Signature Version 4, so it works
+// with AWS as well as MinIO and similar servers (use forcePathStyle for those).
+// Objects are keyed "<prefix><area>/<name>". ffmpeg needs real files, so
+// objects it reads are downloaded into cacheDir first.
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+// Objects above this size are uploaded in parts of this size
+const MULTIPART_PART_SIZE = 64 * 1024 * 1024;
+
+// RFC 3986 encoding as SigV4 wants it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query)
+    .sort()
+    .map((key) => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join("&");
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+  return [...xml.matchAll(pattern)].map(([, value]) =>
+    value
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&")
+  );
+}
+
+export class S3Storage {
+  constructor({
+    endpoint,
+    region = "us-east-1",
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    prefix = "",
+    forcePathStyle = false,
+    cacheDir,
+    downloadUrlTtl = 300,
+  }) {
+    if (!bucket || !accessKeyId || !secretAccessKey)
+      throw new StorageError(
+        "S3 storage needs a bucket, access key ID and secret access key"
+      );
+    this.name = "s3";
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+    this.forcePathStyle = forcePathStyle;
+    this.cacheDir = cacheDir;
+    this.downloadUrlTtl = downloadUrlTtl;
+    this.downloads = new Map(); // cache path -> Promise of a running download
+
+    fs.mkdirSync(cacheDir, { recursive: true });
+    // Downloads cut short by a restart
+    for (const name of fs.readdirSync(cacheDir))
+      if (name.endsWith(".download"))
+        fs.rmSync(path.join(cacheDir, name), { force: true });
+  }
+
+  key(area, name) {
+    checkArea(area);
+    return `${this.prefix}${area}/${path.basename(name)}`;
+  }
+
+  cachePath(area, name) {
+    checkArea(area);
+    return path.join(this.cacheDir, `${area}-${path.basename(name)}`);
+  }
+
+  // Host and path of an object (or of the bucket, for key "")
+  objectUrl(key) {
+    const url = new URL(this.endpoint);
+    const encodedKey = key.split("/").map(encodeRfc3986).join("/");
+    const base = url.pathname.replace(/\/$/, "");
+    if (this.forcePathStyle) {
+      url.pathname = `${base}/${this.bucket}/${encodedKey}`;
+    } else {
+      url.host = `${this.bucket}.${url.host}`;
+      url.pathname = `${base}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  signingKey(date) {
+    const dateKey = hmac("AWS4" + this.secretAccessKey, date);
+    return hmac(hmac(hmac(dateKey, this.region), "s3"), "aws4_request");
+  }
+
+  // SigV4 signature of a request; `headers` must include host
+  sign({ method, url, query, headers, payloadHash, amzDate }) {
+    const names = Object.keys(headers)
+      .map((name) => name.toLowerCase())
+      .sort();
+    const lowered = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        String(value).trim(),
+      ])
+    );
+    const signedHeaders = names.join(";");
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      names.map((name) => `${name}:${lowered[name]}\n`).join(""),
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+    ].join("\n");
+
+    return {
+      signedHeaders,
+      credential: `${this.accessKeyId}/${scope}`,
+      signature: hmac(this.signingKey(date), stringToSign).toString("hex"),
+    };
+  }
+
+  // Signed request against the bucket; resolves with the fetch response
+  async request(method, key, { query = {}, body, headers = {} } = {}) {
+    const url = this.objectUrl(key);
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d+/g, "");
+    const payloadHash = body ? "UNSIGNED-PAYLOAD" : EMPTY_SHA256;
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      "x-amz-date": amzDate,
+      "x-amz-content-sha256": payloadHash,
+    };
+    const { signedHeaders, credential, signature } = this.sign({
+      method,
+      url,
+      query,
+      headers: allHeaders,
+      payloadHash,
+      amzDate,
+    });
+    url.search = canonicalQuery(query);
+
+    const { host, ...sent } = allHeaders;
+    const res = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sent,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+    });
+    if (!res.ok && !(method === "HEAD" && res.status === 404)) {
+      const text = await res.text().catch(() => "");
+      const [code = null] = xmlValues(text, "Code");
+      const [message] = xmlValues(text, "Message");
+      throw new StorageError(
+        `S3 ${method} ${key || "bucket"} failed: ${
+          message || code || res.status
+        }`,
+        { status: res.status, code }
+      );
+    }
+    return res;
+  }
+
+  async put(area, name, sourcePath) {
+    const key = this.key(area, name);
+    const { size } = await fs.promises.stat(sourcePath);
+    if (size <= MULTIPART_PART_SIZE) {
+      await this.request("PUT", key, {
+        body: await fs.promises.readFile(sourcePath),
+      });
+    } else {
+      await this.putMultipart(key, sourcePath, size);
+    }
+    await fs.promises.rm(sourcePath, { force: true });
+  }
+
+  async putMultipart(key, sourcePath, size) {
+    const created = await this.request("POST", key, { query: { uploads: "" } });
+    const [uploadId] = xmlValues(await created.text(), "UploadId");
+    const handle = await fs.promises.open(sourcePath, "r");
+    try {
+      const etags = [];
+      for (let offset = 0; offset < size; offset += MULTIPART_PART_SIZE) {
+        const length = Math.min(MULTIPART_PART_SIZE, size - offset);
+        const part = Buffer.alloc(length);
+        await handle.read(part, 0, length, offset);
+        const res = await this.request("PUT", key, {
+          query: { partNumber: String(etags.length + 1), uploadId },
+          body: part,
+        });
+        etags.push(res.headers.get("etag"));
+      }
+      const parts = etags
+        .map(
+          (etag, i) =>
+            `<Part><PartNumber>${i + 1}</PartNumber><ETag>${etag}</ETag></Part>`
+        )
+        .join("");
+      await this.request("POST", key, {
+        query: { uploadId },
+        body: `<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`,
+      });
+    } catch (err) {
+      await this.request("DELETE", key, { query: { uploadId } }).catch(
+        () => {}
+      );
+      throw err;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Download the object once; concurrent callers share the download
+  async localPath(area, name) {
+    const cached = this.cachePath(area, name);
+    if (fs.existsSync(cached)) return cached;
+    if (!this.downloads.has(cached)) {
+      const download = (async () => {
+        const res = await this.request("GET", this.key(area, name));
+        const partial = cached + ".download";
+        try {
+          await pipeline(
+            Readable.fromWeb(res.body),
+            fs.createWriteStream(partial)
+          );
+          await fs.promises.rename(partial, cached);
+        } catch (err) {
+          await fs.promises.rm(partial, { force: true });
+          throw err;
+        }
+      })().finally(() => this.downloads.delete(cached));
+      this.downloads.set(cached, download);
+    }
+    await this.downloads.get(cached);
+    return cached;
+  }
+
+  async exists(area, name) {
+    const res = await this.request("HEAD", this.key(area, name));
+    return res.ok;
+  }
+
+  async remove(area, name) {
+    await this.request("DELETE", this.key(area, name));
+    await fs.promises.rm(this.cachePath(area, name), { force: true });
+  }
+
+  async list(area) {
+    const prefix = this.key(area, "");
+    const objects = [];
+    let continuationToken;
+    do {
+      const query = { "list-type": "2", prefix };
+      if (continuationToken) query["continuation-token"] = continuationToken;
+      const xml = await (await this.request("GET", "", { query })).text();
+      for (const entry of xmlValues(xml, "Contents")) {
+        const [key] = xmlValues(entry, "Key");
+        const [modified] = xmlValues(entry, "LastModified");
+        objects.push({
+          name: key.slice(prefix.length),
+          modified: Date.parse(modified),
+        });
+      }
+      [continuationToken] = xmlValues(xml, "NextContinuationToken");
+    } while (continuationToken);
+    return objects;
+  }
+
+  // Presigned GET that makes the browser save the file as `downloadName` (or
+  // show it, with disposition "inline"), valid for at most `expiresIn` seconds
+  downloadUrl(
+    area,
+    name,
+    { downloadName, mimeType, disposition = "attachment", expiresIn = Infinity }
+  ) {
+    const url = this.objectUrl(this.key(area, name));
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d+/g, "");
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${this.accessKeyId}/${amzDate.slice(0, 8)}/${
+        this.region
+      }/s3/aws4_request`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(
+        Math.max(1, Math.floor(Math.min(this.downloadUrlTtl, expiresIn)))
+      ),
+      "X-Amz-SignedHeaders": "host",
+      "response-content-disposition": `${disposition}; filename="${downloadName.replace(
+        /"/g,
+        ""
+      )}"`,
+    };
+    if (mimeType) query["response-content-type"] = mimeType;
+
+    const { signature } = this.sign({
+      method: "GET",
+      url,
+      query,
+      headers: { host: url.host },
+      payloadHash: "UNSIGNED-PAYLOAD",
+      amzDate,
+    });
+    url.search = canonicalQuery({ ...query, "X-Amz-Signature": signature });
+    return url.toString();
+  }
+}
+
+// Build the configured driver; `driver` is "local" or "s3"
+export function createStorage({ driver = "local", local, s3 }) {
+  switch (driver) {
+    case "local":
+      return new LocalStorage(local);
+    case "s3":
+      return new S3Storage(s3);
+    default:
+      throw new StorageError(`Unknown storage driver: ${driver}`);
+  }
+}
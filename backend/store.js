@@ -0,0 +1,168 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+// --- Persistent store ---
+// Server state (clients, tracked files, jobs, download tokens) lives in
+// named collections that behave like Maps but write every change through to
+// an adapter. Reads are served from memory; the adapter is only read once,
+// when a collection is opened.
+//
+// Adapters store JSON strings under string keys:
+//   load(name) -> [[key, json], ...], put(name, key, json), remove(name, key)
+// SQLite is the default; the memory adapter keeps nothing across restarts
+// and is meant for tests.
+
+export class SqliteAdapter {
+  constructor(filename) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.statements = new Map(); // collection name -> prepared statements
+  }
+
+  prepare(name) {
+    if (!this.statements.has(name)) {
+      if (!/^\w+$/.test(name))
+        throw new Error(`Invalid collection name: ${name}`);
+      this.db.exec(
+        `CREATE TABLE IF NOT EXISTS ${name} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`
+      );
+      this.statements.set(name, {
+        load: this.db.prepare(`SELECT key, value FROM ${name}`).raw(),
+        put: this.db.prepare(
+          `INSERT INTO ${name} (key, value) VALUES (?, ?)
+           ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+        ),
+        remove: this.db.prepare(`DELETE FROM ${name} WHERE key = ?`),
+      });
+    }
+    return this.statements.get(name);
+  }
+
+  load(name) {
+    return this.prepare(name).load.all();
+  }
+
+  put(name, key, json) {
+    this.prepare(name).put.run(key, json);
+  }
+
+  remove(name, key) {
+    this.prepare(name).remove.run(key);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export class MemoryAdapter {
+  constructor() {
+    this.tables = new Map(); // collection name -> Map of key -> json
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  load(name) {
+    return [...this.table(name).entries()];
+  }
+
+  put(name, key, json) {
+    this.table(name).set(key, json);
+  }
+
+  remove(name, key) {
+    this.table(name).delete(key);
+  }
+
+  close() {}
+}
+
+// A Map whose changes are persisted. Values mutated in place must be
+// written back with save(key). `encode` picks what is stored and `decode`
+// rebuilds the in-memory value (runtime-only fields and the like).
+export class Collection {
+  constructor(adapter, name, { encode = (v) => v, decode = (v) => v } = {}) {
+    this.adapter = adapter;
+    this.name = name;
+    this.encode = encode;
+    this.decode = decode;
+    this.items = new Map();
+    for (const [key, json] of adapter.load(name))
+      this.items.set(key, decode(JSON.parse(json), key));
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.save(key);
+    return this;
+  }
+
+  save(key) {
+    if (!this.items.has(key)) return;
+    this.adapter.put(
+      this.name,
+      key,
+      JSON.stringify(this.encode(this.items.get(key)))
+    );
+  }
+
+  delete(key) {
+    if (!this.items.delete(key)) return false;
+    this.adapter.remove(this.name, key);
+    return true;
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.items.entries();
+  }
+}
+
+// Open a store; `driver` is "sqlite" (kept in `filename`) or "memory"
+export function openStore({ driver = "sqlite", filename }) {
+  let adapter;
+  switch (driver) {
+    case "sqlite":
+      adapter = new SqliteAdapter(filename);
+      break;
+    case "memory":
+      adapter = new MemoryAdapter();
+      break;
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+
+  return {
+    driver,
+    collection: (name, options) => new Collection(adapter, name, options),
+    close: () => adapter.close(),
+  };
+}
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Runs the server on a scratch directory and an in-memory store
+const serverPath = fileURLToPath(new URL("../server.js", import.meta.url));
+const port = 40000 + Math.floor(Math.random() * 20000);
+const baseUrl = `http://127.0.0.1:${port}`;
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "process-test-"));
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, [serverPath], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORE_DRIVER: "memory",
+      STORAGE_DRIVER: "local",
+      UPLOADS_DIR: path.join(dataDir, "uploads"),
+      OUTPUT_DIR: path.join(dataDir, "output"),
+      TEMP_DIR: path.join(dataDir, "temp"),
+      PREVIEW_DIR: path.join(dataDir, "previews"),
+      DOWNLOAD_TOKEN_SECRET: "test-secret",
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  let output = "";
+  server.stdout.setEncoding("utf8");
+  while (!output.includes("Server running")) {
+    const [chunk] = await Promise.race([
+      once(server.stdout, "data"),
+      once(server, "exit").then(() => {
+        throw new Error(`Server exited before listening: ${output}`);
+      }),
+    ]);
+    output += chunk;
+  }
+  server.stdout.resume();
+});
+
+after(async () => {
+  if (server.exitCode === null) {
+    server.kill();
+    await once(server, "exit");
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function postProcess(body) {
+  return fetch(`${baseUrl}/process`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+const segments = [{ start: 0, end: 5 }];
+
+test("/process rejects a request without a clientId", async () => {
+  const res = await postProcess({ filename: "video.mp4", segments });
+  assert.equal(res.status, 400);
+  const { details } = await res.json();
+  assert.ok(
+    details.some(
+      (e) => e.path === "body.clientId" && /required/.test(e.message)
+    )
+  );
+});
+
+test("/process rejects a malformed clientId", async () => {
+  const res = await postProcess({
+    clientId: "not a client id!",
+    filename: "video.mp4",
+    segments,
+  });
+  assert.equal(res.status, 400);
+  const { details } = await res.json();
+  assert.ok(details.some((e) => e.path === "body.clientId"));
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countJobs, orderedQueue } from "../queue.js";
+
+const job = (id, clientId) => ({ id, clientId });
+const ids = (jobs) => jobs.map((j) => j.id);
+
+test("countJobs counts a client's jobs", () => {
+  const jobs = [job(1, "a"), job(2, "b"), job(3, "a")];
+  assert.equal(countJobs("a", jobs), 2);
+  assert.equal(countJobs("c", new Set(jobs)), 0);
+});
+
+test("jobs of one client keep arrival order", () => {
+  const queue = [job(1, "a"), job(2, "a"), job(3, "a")];
+  assert.deepEqual(ids(orderedQueue(queue, new Set())), [1, 2, 3]);
+});
+
+test("clients take turns instead of one backlog going first", () => {
+  const queue = [
+    job(1, "a"),
+    job(2, "a"),
+    job(3, "a"),
+    job(4, "b"),
+    job(5, "c"),
+    job(6, "b"),
+  ];
+  assert.deepEqual(ids(orderedQueue(queue, new Set())), [1, 4, 5, 2, 6, 3]);
+});
+
+test("clients with running jobs wait behind those without", () => {
+  const running = new Set([job(10, "a"), job(11, "a")]);
+  const queue = [job(1, "a"), job(2, "b"), job(3, "b"), job(4, "b")];
+  assert.deepEqual(ids(orderedQueue(queue, running)), [2, 3, 1, 4]);
+});
+
+test("the queue itself is left alone", () => {
+  const queue = [job(1, "a"), job(2, "a"), job(3, "b")];
+  orderedQueue(queue, new Set());
+  assert.deepEqual(ids(queue), [1, 2, 3]);
+});
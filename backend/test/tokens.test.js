@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTokenSigner, isTokenUsable } from "../tokens.js";
+
+const signer = createTokenSigner("test-secret");
+
+test("a token verifies for the client it was issued to", () => {
+  const { id, token } = signer.issue("client-1");
+  assert.equal(signer.verify(token, "client-1"), id);
+});
+
+test("a token is useless to other clients", () => {
+  const { token } = signer.issue("client-1");
+  assert.equal(signer.verify(token, "client-2"), null);
+  assert.equal(signer.verify(token, undefined), null);
+});
+
+test("tokens issued without a client need none", () => {
+  const { id, token } = signer.issue();
+  assert.equal(signer.verify(token), id);
+  assert.equal(signer.verify(token, ""), id);
+});
+
+test("tampered and malformed tokens are rejected", () => {
+  const { id, token } = signer.issue("client-1");
+  const [, signature] = token.split(".");
+  const otherId = `${id.slice(0, -1)}${id.endsWith("A") ? "B" : "A"}`;
+  assert.equal(signer.verify(`${otherId}.${signature}`, "client-1"), null);
+  assert.equal(signer.verify(`${id}.${signature}x`, "client-1"), null);
+  assert.equal(signer.verify(`${token}.extra`, "client-1"), null);
+  assert.equal(signer.verify(id, "client-1"), null);
+  assert.equal(signer.verify(undefined, "client-1"), null);
+});
+
+test("tokens from another secret are rejected", () => {
+  const { token } = createTokenSigner("other-secret").issue("client-1");
+  assert.equal(signer.verify(token, "client-1"), null);
+});
+
+test("a link can't be used after it expires", () => {
+  const data = { expiresAt: 1000, uses: 0, maxUses: 3 };
+  assert.equal(isTokenUsable(data, { now: 1000, newUse: true }), true);
+  assert.equal(isTokenUsable(data, { now: 1001, newUse: true }), false);
+  assert.equal(isTokenUsable(data, { now: 1001, newUse: false }), false);
+});
+
+test("a link allows a limited number of new downloads", () => {
+  const data = { expiresAt: 1000, uses: 2, maxUses: 3 };
+  assert.equal(isTokenUsable(data, { now: 0, newUse: true }), true);
+  data.uses = 3;
+  assert.equal(isTokenUsable(data, { now: 0, newUse: true }), false);
+  // Resumed downloads and previews don't count as new uses
+  assert.equal(isTokenUsable(data, { now: 0, newUse: false }), true);
+});
@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeSegments,
+  invertSegments,
+  checkTransitions,
+} from "../validation.js";
+
+// Segments as they go out in a response or a stored job
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const durations = new Map([
+  ["main", 60],
+  ["second", 30],
+]);
+
+test("normalizeSegments clamps segments to their source", () => {
+  const { segments, errors } = normalizeSegments(
+    [{ start: 50, end: 90, sourceId: "main" }],
+    durations
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(segments, [{ start: 50, end: 60, sourceId: "main" }]);
+});
+
+test("normalizeSegments reports unusable segments", () => {
+  const { segments, errors } = normalizeSegments(
+    [
+      { start: 5, end: 5, sourceId: "main" },
+      { start: 70, end: 80, sourceId: "main" },
+      { start: 1, end: 1.01, sourceId: "main" },
+      { start: 0, end: 1, sourceId: "missing" },
+    ],
+    durations
+  );
+  assert.deepEqual(segments, []);
+  assert.deepEqual(
+    errors.map((e) => [e.path, e.message]),
+    [
+      ["body.segments[0]", "start must be before end"],
+      ["body.segments[1]", "starts after the end of the video (60.00s)"],
+      ["body.segments[2]", "is too short to cut"],
+      ["body.segments[3]", "refers to an unknown source"],
+    ]
+  );
+});
+
+test("normalizeSegments sorts by source and time and merges overlaps", () => {
+  const { segments } = normalizeSegments(
+    [
+      { start: 5, end: 8, sourceId: "second" },
+      { start: 20, end: 30, sourceId: "main" },
+      { start: 10, end: 25, sourceId: "main" },
+      { start: 0, end: 2, sourceId: "main" },
+    ],
+    durations
+  );
+  assert.deepEqual(plain(segments), [
+    { start: 0, end: 2, sourceId: "main" },
+    { start: 10, end: 30, sourceId: "main" },
+    { start: 5, end: 8, sourceId: "second" },
+  ]);
+});
+
+test("normalizeSegments keeps the given order with keepOrder", () => {
+  const given = [
+    { start: 5, end: 8, sourceId: "second" },
+    { start: 20, end: 30, sourceId: "main" },
+    { start: 10, end: 25, sourceId: "main" },
+  ];
+  const { segments } = normalizeSegments(given, durations, {
+    keepOrder: true,
+  });
+  assert.deepEqual(segments, given);
+});
+
+test("normalizeSegments fills in transitions and drops cuts", () => {
+  const { segments } = normalizeSegments(
+    [
+      { start: 0, end: 5, sourceId: "main", transition: { type: "fade" } },
+      {
+        start: 10,
+        end: 15,
+        sourceId: "main",
+        transition: { type: "cut", duration: 2 },
+      },
+    ],
+    durations
+  );
+  assert.deepEqual(segments[0].transition, { type: "fade", duration: 1 });
+  assert.equal(segments[1].transition, undefined);
+});
+
+test("merged segments lead on with the transition of their later end", () => {
+  const { segments } = normalizeSegments(
+    [
+      {
+        start: 0,
+        end: 10,
+        sourceId: "main",
+        transition: { type: "fade", duration: 1 },
+      },
+      {
+        start: 5,
+        end: 12,
+        sourceId: "main",
+        transition: { type: "crossfade", duration: 2 },
+      },
+    ],
+    durations
+  );
+  assert.deepEqual(segments, [
+    {
+      start: 0,
+      end: 12,
+      sourceId: "main",
+      transition: { type: "crossfade", duration: 2 },
+    },
+  ]);
+});
+
+test("invertSegments returns the gaps between segments", () => {
+  assert.deepEqual(
+    invertSegments(
+      [
+        { start: 5, end: 10 },
+        { start: 20, end: 30 },
+      ],
+      40
+    ),
+    [
+      { start: 0, end: 5 },
+      { start: 10, end: 20 },
+      { start: 30, end: 40 },
+    ]
+  );
+});
+
+test("invertSegments drops slivers too short to cut", () => {
+  assert.deepEqual(
+    invertSegments(
+      [
+        { start: 0.01, end: 10 },
+        { start: 10.02, end: 39.99 },
+      ],
+      40
+    ),
+    []
+  );
+  assert.deepEqual(invertSegments([], 40), [{ start: 0, end: 40 }]);
+});
+
+test("checkTransitions drops the last segment's transition", () => {
+  const segments = [
+    { start: 0, end: 5, transition: { type: "fade", duration: 1 } },
+    { start: 10, end: 15, transition: { type: "fade", duration: 1 } },
+  ];
+  assert.deepEqual(checkTransitions(segments), []);
+  assert.equal(segments[1].transition, undefined);
+  assert.deepEqual(segments[0].transition, { type: "fade", duration: 1 });
+});
+
+test("checkTransitions rejects segments shorter than their transitions", () => {
+  const segments = [
+    { start: 0, end: 5, transition: { type: "crossfade", duration: 2 } },
+    { start: 10, end: 13, transition: { type: "crossfade", duration: 1.5 } },
+    { start: 20, end: 25 },
+  ];
+  assert.deepEqual(checkTransitions(segments), [
+    { path: "body.segments[1]", message: "is shorter than its transitions" },
+  ]);
+});
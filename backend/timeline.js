@@ -0,0 +1,118 @@
+import { runFfmpeg } from "./ffmpeg.js";
+
+// --- Timeline previews ---
+// What the editor draws under its timeline: a filmstrip (one sprite sheet of
+// evenly spaced thumbnails) and a waveform (audio peaks). Both are sized by
+// the video's duration so long videos stay cheap to make and to send.
+
+// Thumbnails are TILE_WIDTH x TILE_HEIGHT (letterboxed), SPRITE_COLUMNS per
+// row, at least MIN_THUMBNAIL_INTERVAL seconds apart and never more than
+// MAX_THUMBNAILS in total
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const MIN_THUMBNAIL_INTERVAL = 1;
+const MAX_THUMBNAILS = 200;
+
+// Peaks are read from audio resampled to PEAK_SAMPLE_RATE, at most
+// PEAKS_PER_SECOND of them and never more than MAX_PEAKS in total
+const PEAK_SAMPLE_RATE = 8000;
+const PEAKS_PER_SECOND = 50;
+const MAX_PEAKS = 30000;
+
+// Render the filmstrip sprite into spritePath (JPEG). Only keyframes are
+// decoded, so a thumbnail shows the nearest keyframe at or before its time.
+export async function generateFilmstrip(inputPath, spritePath, duration) {
+  const interval = Math.max(MIN_THUMBNAIL_INTERVAL, duration / MAX_THUMBNAILS);
+  const count = Math.max(1, Math.ceil(duration / interval));
+  const columns = Math.min(SPRITE_COLUMNS, count);
+  const rows = Math.ceil(count / columns);
+
+  await runFfmpeg(
+    [
+      "-skip_frame",
+      "nokey",
+      "-i",
+      inputPath,
+      "-an",
+      "-sn",
+      "-vf",
+      [
+        `fps=1/${interval}`,
+        `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+        `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${columns}x${rows}`,
+      ].join(","),
+      "-frames:v",
+      "1",
+      "-q:v",
+      "5",
+      spritePath,
+    ],
+    { timeout: 10 * 60 * 1000 }
+  );
+
+  return {
+    interval,
+    count,
+    columns,
+    tileWidth: TILE_WIDTH,
+    tileHeight: TILE_HEIGHT,
+  };
+}
+
+// Peak amplitude (0..1) of the first audio stream for every slice of
+// 1 / peaksPerSecond seconds. The audio is decoded as mono 16-bit PCM and
+// reduced as it streams in, so nothing large is held in memory.
+export async function generateWaveform(inputPath, duration) {
+  const peaksPerSecond = Math.min(
+    PEAKS_PER_SECOND,
+    MAX_PEAKS / Math.max(duration, 1)
+  );
+  const samplesPerPeak = Math.max(
+    1,
+    Math.round(PEAK_SAMPLE_RATE / peaksPerSecond)
+  );
+
+  const peaks = [];
+  let peak = 0;
+  let counted = 0;
+  let leftover = null; // odd byte split across chunks
+
+  const onStdout = (chunk) => {
+    const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = data.length - (data.length % 2);
+    leftover = usable < data.length ? data.subarray(usable) : null;
+    for (let offset = 0; offset < usable; offset += 2) {
+      peak = Math.max(peak, Math.abs(data.readInt16LE(offset)));
+      if (++counted === samplesPerPeak) {
+        peaks.push(peak);
+        peak = 0;
+        counted = 0;
+      }
+    }
+  };
+
+  await runFfmpeg(
+    [
+      "-i",
+      inputPath,
+      "-map",
+      "0:a:0",
+      "-ac",
+      "1",
+      "-ar",
+      String(PEAK_SAMPLE_RATE),
+      "-f",
+      "s16le",
+      "pipe:1",
+    ],
+    { onStdout, timeout: 10 * 60 * 1000 }
+  );
+  if (counted) peaks.push(peak);
+
+  return {
+    peaksPerSecond: PEAK_SAMPLE_RATE / samplesPerPeak,
+    peaks: peaks.map((value) => Math.round((value / 32768) * 1000) / 1000),
+  };
+}
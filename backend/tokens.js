@@ -0,0 +1,40 @@
+import crypto from "crypto";
+
+// --- Signed tokens ---
+// A token is "<id>.<signature>": a random ID plus an HMAC of that ID and the
+// client it was issued to. It can't be guessed or forged, and it is useless
+// without the clientId it is bound to (tokens issued without one need none).
+
+export function createTokenSigner(secret) {
+  const sign = (id, clientId) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${id}:${clientId || ""}`)
+      .digest("base64url");
+
+  return {
+    issue(clientId) {
+      const id = crypto.randomBytes(18).toString("base64url");
+      return { id, token: `${id}.${sign(id, clientId)}` };
+    },
+
+    // The token's ID if it was issued to clientId, otherwise null
+    verify(token, clientId) {
+      const [id, signature, ...rest] = String(token).split(".");
+      if (!id || !signature || rest.length) return null;
+      const expected = Buffer.from(sign(id, clientId));
+      const given = Buffer.from(signature);
+      return given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected)
+        ? id
+        : null;
+    },
+  };
+}
+
+// Whether a download link's record ({ expiresAt, uses, maxUses }) still
+// allows a request at `now`. Requests that are a `newUse` count against the
+// allowed uses; the others (resumed ranges, previews) only need it unexpired.
+export function isTokenUsable(data, { now, newUse }) {
+  return now <= data.expiresAt && !(newUse && data.uses >= data.maxUses);
+}
@@ -0,0 +1,94 @@
+// --- Transitions ---
+// Joins a job's parts in one filter graph, with the transitions chosen for
+// the boundaries between them. A transition of duration D overlaps the parts
+// on either side of it by D, so the joined result is D shorter than the parts
+// laid end to end:
+//   crossfade  the picture dissolves and the sound crossfades
+//   fade       the picture fades through black, the sound out and back in
+//   audio      the sound crossfades; the picture cuts halfway through it
+
+// xfade transitions drawing the picture of each type
+const XFADE_TRANSITIONS = { crossfade: "fade", fade: "fadeblack" };
+
+const formatSeconds = (seconds) => Math.max(0, seconds).toFixed(3);
+
+// Seconds a transition takes off the joined length
+export function transitionOverlap(transition) {
+  return transition ? transition.duration : 0;
+}
+
+// Filters joining the video joined so far (`joined`, `length` seconds) with
+// the next part (`next`) into `out`. concat loses the frame rate xfade
+// needs, so it is set again after every concat.
+function joinVideo(joined, next, transition, length, out, frameRate) {
+  const concat = `concat=n=2:v=1:a=0,fps=${frameRate},settb=AVTB`;
+  if (!transition) return `${joined}${next}${concat}[${out}]`;
+  const { type, duration } = transition;
+  if (XFADE_TRANSITIONS[type])
+    return `${joined}${next}xfade=transition=${
+      XFADE_TRANSITIONS[type]
+    }:duration=${duration}:offset=${formatSeconds(length - duration)}[${out}]`;
+  // The picture cuts in the middle of the sound's crossfade
+  return [
+    `${joined}trim=end=${formatSeconds(
+      length - duration / 2
+    )},setpts=PTS-STARTPTS[${out}a]`,
+    `${next}trim=start=${formatSeconds(
+      duration / 2
+    )},setpts=PTS-STARTPTS[${out}b]`,
+    `[${out}a][${out}b]${concat}[${out}]`,
+  ].join(";");
+}
+
+// The same for the audio
+function joinAudio(joined, next, transition, length, out) {
+  if (!transition) return `${joined}${next}concat=n=2:v=0:a=1[${out}]`;
+  const { type, duration } = transition;
+  if (type !== "fade")
+    return `${joined}${next}acrossfade=d=${duration}[${out}]`;
+  // Fading out and back in over the overlap, with silence nowhere longer
+  // than the picture is black
+  const half = formatSeconds(duration / 2);
+  return [
+    `${joined}atrim=end=${formatSeconds(
+      length - duration / 2
+    )},asetpts=PTS-STARTPTS,afade=t=out:st=${formatSeconds(
+      length - duration
+    )}:d=${half}[${out}a]`,
+    `${next}atrim=start=${half},asetpts=PTS-STARTPTS,afade=t=in:d=${half}[${out}b]`,
+    `[${out}a][${out}b]concat=n=2:v=0:a=1[${out}]`,
+  ].join(";");
+}
+
+// ffmpeg flags joining inputs 0..n-1 of a command. `parts` are their
+// { duration, transition } in order, each transition leading into the next
+// part. `video` is the parts' video stream as ffprobe reports it (null if
+// they have none), `audio` whether they have sound. Returns the
+// -filter_complex and -map flags.
+export function transitionArgs(parts, { video, audio }) {
+  const filters = [];
+  const maps = [];
+  const chain = (kind, join) => {
+    // concat and xfade disagree on time bases, so every picture gets one
+    const input = (i) => {
+      if (kind === "a") return `[${i}:a]`;
+      filters.push(`[${i}:v]settb=AVTB[vin${i}]`);
+      return `[vin${i}]`;
+    };
+    let joined = input(0);
+    let length = parts[0].duration;
+    for (let i = 1; i < parts.length; i++) {
+      const { transition } = parts[i - 1];
+      const out = `${kind}${i}`;
+      filters.push(
+        join(joined, input(i), transition, length, out, video?.r_frame_rate)
+      );
+      length += parts[i].duration - transitionOverlap(transition);
+      joined = `[${out}]`;
+    }
+    maps.push("-map", joined);
+  };
+  if (video) chain("v", joinVideo);
+  if (audio) chain("a", joinAudio);
+  return ["-filter_complex", filters.join(";"), ...maps];
+}
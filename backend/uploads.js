@@ -0,0 +1,172 @@
+import fs from "fs";
+import crypto from "crypto";
+
+// --- Resumable uploads ---
+// A client opens a session, sends the file in fixed-size chunks (each with
+// its SHA-256) in any order and completes the session once every chunk has
+// arrived. Chunks are written straight into a preallocated partial file, so
+// an interrupted upload resumes with whatever chunks are still missing.
+//
+// A file's content hash is the SHA-256 of its chunks' hex SHA-256s, in order.
+// Clients can compute it before uploading, which is what lets the server
+// skip uploads of files it already has.
+
+export const CHUNK_SIZE = 8 * 1024 * 1024;
+export const MAX_UPLOAD_SIZE =
+  Number(process.env.MAX_UPLOAD_SIZE) || 20 * 1024 * 1024 * 1024;
+// Sessions nobody has sent a chunk to for this long are discarded
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+const sessions = new Map(); // uploadId -> session
+
+// Rejected upload requests; `status` is the HTTP status to answer with
+export class UploadError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function generateUploadId() {
+  return "upload-" + Date.now() + "-" + crypto.randomBytes(6).toString("hex");
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+export function contentHashOf(chunkHashes) {
+  return sha256(chunkHashes.join(""));
+}
+
+// What the client needs to (re)start sending chunks
+export function describeUploadSession(session) {
+  return {
+    uploadId: session.id,
+    originalName: session.originalName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    received: [...session.received].sort((a, b) => a - b),
+  };
+}
+
+// Open a session writing into `partPath`. With `contentHash`, the finished
+// file must match it.
+export function createUploadSession({
+  partPath,
+  originalName,
+  size,
+  clientId,
+  contentHash = null,
+}) {
+  if (size > MAX_UPLOAD_SIZE)
+    throw new UploadError(
+      `File is too large (limit ${Math.floor(
+        MAX_UPLOAD_SIZE / (1024 * 1024)
+      )} MB)`,
+      413
+    );
+
+  const session = {
+    id: generateUploadId(),
+    partPath,
+    originalName,
+    size,
+    clientId,
+    contentHash,
+    chunkSize: CHUNK_SIZE,
+    chunkCount: Math.max(1, Math.ceil(size / CHUNK_SIZE)),
+    received: new Set(),
+    chunkHashes: [],
+    writing: 0, // chunk writes in flight
+    lastActivity: Date.now(),
+  };
+
+  // Reserve the full size up front so chunks can land at any offset
+  fs.closeSync(fs.openSync(partPath, "w"));
+  fs.truncateSync(partPath, size);
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+export function getUploadSession(id) {
+  const session = sessions.get(id);
+  if (!session) throw new UploadError("Upload not found", 404);
+  return session;
+}
+
+// Verify one chunk and write it at its offset
+export async function writeChunk(session, index, data, checksum) {
+  if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount)
+    throw new UploadError(`Chunk index must be 0-${session.chunkCount - 1}`);
+
+  const offset = index * session.chunkSize;
+  const expected = Math.min(session.chunkSize, session.size - offset);
+  if (data.length !== expected)
+    throw new UploadError(
+      `Chunk ${index} must be ${expected} bytes, got ${data.length}`
+    );
+  if (!checksum) throw new UploadError("X-Chunk-Checksum header is required");
+  checksum = checksum.toLowerCase();
+  if (sha256(data) !== checksum)
+    throw new UploadError(`Chunk ${index} failed its checksum`, 422);
+
+  session.lastActivity = Date.now();
+  session.writing++;
+  try {
+    const handle = await fs.promises.open(session.partPath, "r+");
+    try {
+      await handle.write(data, 0, data.length, offset);
+    } finally {
+      await handle.close();
+    }
+  } finally {
+    session.writing--;
+  }
+  session.received.add(index);
+  session.chunkHashes[index] = checksum;
+}
+
+// Check that every chunk arrived and close the session. Returns the content
+// hash; the assembled file is left at session.partPath for the caller.
+export function completeUpload(session) {
+  const missing = [];
+  for (let i = 0; i < session.chunkCount; i++)
+    if (!session.received.has(i)) missing.push(i);
+  if (missing.length)
+    throw new UploadError(`${missing.length} chunk(s) still missing`, 409, {
+      missing,
+    });
+  if (session.writing)
+    throw new UploadError("Chunks are still being written", 409);
+
+  const contentHash = contentHashOf(session.chunkHashes);
+  if (session.contentHash && session.contentHash !== contentHash) {
+    discardUploadSession(session);
+    throw new UploadError("Uploaded file does not match its content hash", 422);
+  }
+
+  sessions.delete(session.id);
+  return contentHash;
+}
+
+// Drop a session and its partial file
+export function discardUploadSession(session) {
+  sessions.delete(session.id);
+  fs.rm(session.partPath, { force: true }, () => {});
+}
+
+// Discard sessions that stopped receiving chunks
+export function expireUploadSessions(now = Date.now()) {
+  for (const session of sessions.values()) {
+    if (session.writing) continue;
+    if (now - session.lastActivity > SESSION_TTL) {
+      console.log(`Discarding stale upload ${session.id}`);
+      discardUploadSession(session);
+    }
+  }
+}
@@ -0,0 +1,317 @@
+import {
+  CONTAINERS,
+  VIDEO_CODECS,
+  AUDIO_CODECS,
+  QUALITY_PRESETS,
+} from "./profiles.js";
+
+// --- Request validation ---
+// A small declarative schema checker for JSON request bodies. Every problem
+// is reported as { path, message } so the client can point at the exact field.
+
+// How a job cuts segments out of the source
+export const PROCESSING_MODES = ["reencode", "fast", "smart"];
+// Whether the segments are the parts to keep or the parts to cut out
+export const SELECTION_MODES = ["keep", "remove"];
+// How a segment leads into the next one (see transitions.js)
+export const TRANSITION_TYPES = ["cut", "crossfade", "fade", "audio"];
+
+const MAX_SEGMENTS = 100;
+const MAX_SOURCES = 20;
+// Shortest segment worth cutting (about one frame)
+const MIN_SEGMENT_LENGTH = 0.04;
+const DEFAULT_TRANSITION_DURATION = 1; // seconds
+
+const uploadFilename = {
+  type: "string",
+  pattern: /^[\w.-]+$/,
+  patternMessage: "must be a plain upload filename",
+};
+
+const clientIdField = {
+  type: "string",
+  pattern: /^[\w-]{1,100}$/,
+  patternMessage: "must be a client ID",
+};
+
+// A job cuts from one upload (`filename`) or several (`sources`, which
+// segments pick from by `sourceId`)
+export const processRequestSchema = {
+  type: "object",
+  properties: {
+    filename: uploadFilename,
+    sources: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_SOURCES,
+      items: {
+        type: "object",
+        properties: {
+          id: {
+            type: "string",
+            required: true,
+            pattern: /^[\w-]{1,50}$/,
+            patternMessage: "must be a source ID",
+          },
+          filename: { ...uploadFilename, required: true },
+        },
+      },
+    },
+    // Jobs belong to the client that submitted them
+    clientId: { ...clientIdField, required: true },
+    mode: { type: "string", enum: PROCESSING_MODES },
+    selection: { type: "string", enum: SELECTION_MODES },
+    // Join segments in the order given instead of by source and time
+    keepOrder: { type: "boolean" },
+    output: {
+      type: "object",
+      properties: {
+        container: { type: "string", enum: Object.keys(CONTAINERS) },
+        videoCodec: { type: "string", enum: Object.keys(VIDEO_CODECS) },
+        audioCodec: { type: "string", enum: Object.keys(AUDIO_CODECS) },
+      },
+    },
+    quality: {
+      type: "object",
+      properties: {
+        preset: { type: "string", enum: Object.keys(QUALITY_PRESETS) },
+        height: { type: "number", min: 144, max: 4320 },
+        fps: { type: "number", min: 1, max: 120 },
+        crf: { type: "number", min: 0, max: 63 },
+        maxBitrate: { type: "number", min: 100, max: 200000 }, // kb/s
+        targetSize: { type: "number", min: 1, max: 4096 }, // MB
+        audioBitrate: { type: "number", min: 32, max: 512 }, // kb/s
+        sampleRate: { type: "number", min: 8000, max: 192000 }, // Hz
+      },
+    },
+    segments: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      maxItems: MAX_SEGMENTS,
+      items: {
+        type: "object",
+        properties: {
+          start: { type: "number", required: true, min: 0 },
+          end: { type: "number", required: true, min: 0 },
+          sourceId: { type: "string" },
+          // Into the next segment of the export (keep mode only)
+          transition: {
+            type: "object",
+            properties: {
+              type: { type: "string", required: true, enum: TRANSITION_TYPES },
+              duration: { type: "number", min: 0.1, max: 5 }, // seconds
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export const uploadInitSchema = {
+  type: "object",
+  properties: {
+    filename: { type: "string", required: true },
+    size: { type: "number", integer: true, required: true, min: 1 }, // bytes
+    clientId: { type: "string" },
+    contentHash: {
+      type: "string",
+      pattern: /^[0-9a-f]{64}$/,
+      patternMessage: "must be a hex SHA-256",
+    },
+  },
+};
+
+// Sensitivity of scene and silence detection; defaults are on the server
+export const analysisRequestSchema = {
+  type: "object",
+  properties: {
+    filename: { ...uploadFilename, required: true },
+    sceneThreshold: { type: "number", min: 0.05, max: 1 },
+    silenceThreshold: { type: "number", min: -90, max: 0 }, // dB
+    minSilence: { type: "number", min: 0.1, max: 60 }, // seconds
+  },
+};
+
+export const registerClientSchema = {
+  type: "object",
+  properties: {
+    clientId: { ...clientIdField, required: true },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && !Number.isFinite(value)) return "non-finite";
+  return typeof value;
+}
+
+// Returns a list of { path, message } problems (empty when valid)
+export function validate(value, schema, path = "body") {
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (typeOf(value) !== schema.type) {
+    fail(`must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`);
+    return errors;
+  }
+
+  switch (schema.type) {
+    case "object":
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        const childPath = `${path}.${key}`;
+        if (value[key] === undefined) {
+          if (child.required)
+            errors.push({ path: childPath, message: "is required" });
+          continue;
+        }
+        errors.push(...validate(value[key], child, childPath));
+      }
+      break;
+    case "array":
+      if (schema.minItems !== undefined && value.length < schema.minItems)
+        fail(`must contain at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems)
+        fail(`must contain at most ${schema.maxItems} items`);
+      if (schema.items)
+        value.forEach((item, i) =>
+          errors.push(...validate(item, schema.items, `${path}[${i}]`))
+        );
+      break;
+    case "number":
+      if (schema.integer && !Number.isInteger(value))
+        fail("must be a whole number");
+      if (schema.min !== undefined && value < schema.min)
+        fail(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max)
+        fail(`must be at most ${schema.max}`);
+      break;
+    case "string":
+      if (schema.enum && !schema.enum.includes(value))
+        fail(`must be one of: ${schema.enum.join(", ")}`);
+      if (schema.pattern && !schema.pattern.test(value))
+        fail(schema.patternMessage || "has an invalid format");
+      break;
+  }
+
+  return errors;
+}
+
+// Clamp segments to [0, duration] of their source; `durations` maps source
+// IDs to durations, in project order. Unless `keepOrder` is set they are
+// then sorted by source and time, and overlapping segments of a source are
+// merged the same way the editor's mergeSegments does.
+// Returns { segments, errors }.
+export function normalizeSegments(
+  segments,
+  durations,
+  { keepOrder = false } = {}
+) {
+  const errors = [];
+  const checked = [];
+
+  segments.forEach((seg, i) => {
+    const path = `body.segments[${i}]`;
+    let { start, end, sourceId } = seg;
+
+    if (!durations.has(sourceId)) {
+      errors.push({ path, message: "refers to an unknown source" });
+      return;
+    }
+    const duration = durations.get(sourceId);
+    if (end <= start) {
+      errors.push({ path, message: "start must be before end" });
+      return;
+    }
+    if (duration) {
+      if (start >= duration) {
+        errors.push({
+          path,
+          message: `starts after the end of the video (${duration.toFixed(
+            2
+          )}s)`,
+        });
+        return;
+      }
+      end = Math.min(end, duration);
+    }
+    if (end - start < MIN_SEGMENT_LENGTH) {
+      errors.push({ path, message: "is too short to cut" });
+      return;
+    }
+
+    const segment = { start, end, sourceId };
+    if (seg.transition && seg.transition.type !== "cut")
+      segment.transition = {
+        type: seg.transition.type,
+        duration: seg.transition.duration ?? DEFAULT_TRANSITION_DURATION,
+      };
+    checked.push(segment);
+  });
+
+  if (errors.length) return { segments: [], errors };
+  if (keepOrder) return { segments: checked, errors };
+
+  const sourceOrder = [...durations.keys()];
+  checked.sort(
+    (a, b) =>
+      sourceOrder.indexOf(a.sourceId) - sourceOrder.indexOf(b.sourceId) ||
+      a.start - b.start
+  );
+  const merged = [];
+  for (const seg of checked) {
+    const last = merged[merged.length - 1];
+    if (last && last.sourceId === seg.sourceId && seg.start <= last.end) {
+      // The merged segment leads on with the transition of its later end
+      if (seg.end > last.end) {
+        last.end = seg.end;
+        last.transition = seg.transition;
+      }
+    } else merged.push({ ...seg });
+  }
+
+  return { segments: merged, errors };
+}
+
+// Drop the transition of the last segment (nothing follows it) and check
+// that every segment outlasts the transitions into and out of it, which
+// overlap it with its neighbours. Returns the errors.
+export function checkTransitions(segments) {
+  const last = segments[segments.length - 1];
+  if (last) delete last.transition;
+  const errors = [];
+  segments.forEach((seg, i) => {
+    const overlap =
+      (segments[i - 1]?.transition?.duration || 0) +
+      (seg.transition?.duration || 0);
+    if (overlap > seg.end - seg.start)
+      errors.push({
+        path: `body.segments[${i}]`,
+        message: "is shorter than its transitions",
+      });
+  });
+  return errors;
+}
+
+// The parts of [0, duration] not covered by normalized (sorted, merged)
+// segments. Slivers too short to cut are dropped.
+export function invertSegments(segments, duration) {
+  const kept = [];
+  let position = 0;
+  for (const seg of [...segments, { start: duration, end: duration }]) {
+    if (seg.start - position >= MIN_SEGMENT_LENGTH)
+      kept.push({ start: position, end: seg.start });
+    position = Math.max(position, seg.end);
+  }
+  return kept;
+}
+
+// Human readable one-liner for the first few problems
+export function summarizeErrors(errors) {
+  return errors
+    .slice(0, 3)
+    .map((e) => `${e.path.replace(/^body\./, "")} ${e.message}`)
+    .join("; ");
+}
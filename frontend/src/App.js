@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import axios from "axios";
 import toast, { Toaster } from "react-hot-toast";
 import { motion, AnimatePresence } from "framer-motion";
@@ -17,8 +17,213 @@ const segmentColors = [
   "#64DD17",
 ];
 
+// Output heights offered by the quality controls (never scaled up)
+const outputHeights = [2160, 1440, 1080, 720, 480, 360];
+
+// Advanced quality fields: [key, label, unit]
+const qualityFields = [
+  ["fps", "Frame rate", "fps"],
+  ["crf", "CRF", ""],
+  ["maxBitrate", "Max bitrate", "kb/s"],
+  ["targetSize", "Target size", "MB"],
+];
+
+// Quality settings each kind of export has no use for (as on the backend)
+const videoQualitySettings = [
+  "height",
+  "fps",
+  "crf",
+  "maxBitrate",
+  "targetSize",
+];
+const audioQualitySettings = ["audioBitrate", "sampleRate"];
+const unusedQualitySettings = {
+  animated: ["crf", "maxBitrate", "targetSize", ...audioQualitySettings],
+  audioOnly: videoQualitySettings,
+};
+
+// Audio options offered by the quality controls
+const audioBitrates = [64, 96, 128, 160, 192, 256, 320];
+const audioSampleRates = [22050, 44100, 48000];
+
+// How the export container list is grouped
+const containerGroups = [
+  ["Video", (c) => !c.animated && !c.audioOnly],
+  ["Animated image", (c) => c.animated],
+  ["Audio only", (c) => c.audioOnly],
+];
+
+// How the backend cuts segments out of the source
+const processingModes = [
+  {
+    value: "fast",
+    label: "Fast",
+    description:
+      "Lossless stream copy. Cuts snap back to the nearest keyframe.",
+  },
+  {
+    value: "smart",
+    label: "Smart",
+    description:
+      "Frame-accurate. Only re-encodes up to the first keyframe of each segment.",
+  },
+  {
+    value: "reencode",
+    label: "Re-encode",
+    description: "Re-encodes everything. Slowest, but works with any input.",
+  },
+];
+
+// Whether marked segments are exported or cut out of the video
+const selectionModes = [
+  { value: "keep", label: "Keep", heading: "Segments to keep" },
+  { value: "remove", label: "Remove", heading: "Segments to cut" },
+];
+
+// How a segment leads into the next one in the export. Every transition
+// but a cut overlaps the two segments by its duration (seconds).
+const transitionTypes = [
+  { value: "cut", label: "Cut" },
+  { value: "crossfade", label: "Crossfade" },
+  { value: "fade", label: "Fade through black" },
+  { value: "audio", label: "Audio crossfade" },
+];
+const DEFAULT_TRANSITION_DURATION = 1;
+const MIN_TRANSITION_DURATION = 0.1;
+const MAX_TRANSITION_DURATION = 5;
+
+// Shortest range worth keeping (about one frame, as on the backend)
+const MIN_SEGMENT_LENGTH = 0.04;
+
+// What is left of [0, duration] once the (sorted, merged) segments are cut out
+const invertSegments = (segments, duration) => {
+  const kept = [];
+  let position = 0;
+  for (const seg of [...segments, { start: duration, end: duration }]) {
+    if (seg.start - position >= MIN_SEGMENT_LENGTH)
+      kept.push({ start: position, end: seg.start });
+    position = Math.max(position, seg.end);
+  }
+  return kept;
+};
+
+// Segment boundaries this close (seconds) to a detected scene cut snap to it
+const SCENE_SNAP_DISTANCE = 1.5;
+
+// Segment edits that can be undone
+const MAX_UNDO_STEPS = 100;
+
+// Videos one project can join (as on the backend)
+const MAX_SOURCES = 20;
+
+// Timeline zoom steps (1 = the whole video fits) and the width a filmstrip
+// thumbnail is drawn at on the timeline
+const MAX_TIMELINE_ZOOM = 32;
+const FILMSTRIP_TILE_WIDTH = 112;
+
+// Keyboard editing: J/K/L shuttle speeds double up to MAX_SHUTTLE_SPEED, and
+// arrow keys step by one frame (at DEFAULT_FRAME_RATE if it wasn't probed)
+const MAX_SHUTTLE_SPEED = 8;
+const DEFAULT_FRAME_RATE = 30;
+const keyboardShortcuts = [
+  ["Space", "Play / pause"],
+  ["J / K / L", "Play backwards / stop / play forwards (repeat to speed up)"],
+  ["I", "Set the in point (start a selection)"],
+  ["O", "Set the out point (add the segment)"],
+  ["← / →", "Step one frame"],
+  ["Shift + ← / →", "Jump one second"],
+  ["Delete", "Remove the selected segment"],
+  ["+ / -", "Zoom the timeline in / out"],
+  ["Ctrl + Z", "Undo"],
+  ["Ctrl + Shift + Z", "Redo"],
+  ["?", "Show or hide this list"],
+];
+
+// Resumable uploads: chunk size (as on the backend, which defines a file's
+// content hash over chunks of this size), attempts per chunk, and where
+// interrupted uploads are remembered (one localStorage entry per file)
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_ATTEMPTS = 4;
+const UPLOAD_KEY_PREFIX = "upload:";
+const uploadKey = (file) =>
+  `${UPLOAD_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+// Hex SHA-256 of a Blob
+const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await blob.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+// SHA-256 of every chunk of a file, then the content hash built from them
+const hashFile = async (file, signal, onProgress) => {
+  const chunkHashes = [];
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    signal.throwIfAborted();
+    chunkHashes.push(await sha256Hex(file.slice(offset, offset + CHUNK_SIZE)));
+    onProgress(Math.min(1, (offset + CHUNK_SIZE) / file.size));
+  }
+  const contentHash = await sha256Hex(new Blob([chunkHashes.join("")]));
+  return { chunkHashes, contentHash };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Heartbeat period until the server says otherwise
+const DEFAULT_HEARTBEAT_INTERVAL = 60 * 1000;
+
+// "1234567" -> "1.23 Mbps"
+const formatBitrate = (bitsPerSecond) => {
+  if (!bitsPerSecond) return "Unknown";
+  if (bitsPerSecond >= 1e6) return `${(bitsPerSecond / 1e6).toFixed(2)} Mbps`;
+  return `${Math.round(bitsPerSecond / 1e3)} kbps`;
+};
+
+// Label/value pairs shown in the media info panel
+const describeMediaInfo = (info) => {
+  const { video, audio } = info;
+  const details = [
+    ["Container", info.containerName || info.container],
+    ["Duration", info.duration ? `${info.duration.toFixed(2)}s` : "Unknown"],
+    ["Bitrate", formatBitrate(info.bitrate)],
+  ];
+  if (video)
+    details.push(
+      [
+        "Video",
+        video.profile ? `${video.codec} (${video.profile})` : video.codec,
+      ],
+      [
+        "Resolution",
+        `${video.width}×${video.height}${
+          video.rotation ? `, rotated ${video.rotation}°` : ""
+        }`,
+      ],
+      ["Frame rate", video.frameRate ? `${video.frameRate} fps` : "Unknown"]
+    );
+  if (audio)
+    details.push(
+      ["Audio", audio.codec],
+      ["Channels", audio.channelLayout || audio.channels],
+      [
+        "Sample rate",
+        audio.sampleRate ? `${audio.sampleRate / 1000} kHz` : "Unknown",
+      ]
+    );
+  details.push(["Keyframes", info.keyframes.length]);
+  return details;
+};
+
 const App = () => {
   const [clientId, setClientId] = useState("");
+  // Videos of the project, in the order they were added; the editor shows
+  // one of them at a time and videoFile etc. describe that one
+  const [sources, setSources] = useState([]); // [{ id, file, url, name, duration }]
+  const [activeSourceId, setActiveSourceId] = useState(null);
   const [videoFile, setVideoFile] = useState(null);
   const [videoUrl, setVideoUrl] = useState("");
   const [videoDuration, setVideoDuration] = useState(0);
@@ -26,18 +231,100 @@ const App = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [shuttleSpeed, setShuttleSpeed] = useState(0); // negative plays backwards
+  const [showShortcuts, setShowShortcuts] = useState(false);
   const [isSelecting, setIsSelecting] = useState(false);
   const [selectionStart, setSelectionStart] = useState(0);
   const [selectionEnd, setSelectionEnd] = useState(0);
   const [downloadToken, setDownloadToken] = useState("");
+  const [result, setResult] = useState(null); // { duration, segments } of the last export
+  const [showResult, setShowResult] = useState(false);
+  const [previewTime, setPreviewTime] = useState(0);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [showStartMarker, setShowStartMarker] = useState(false);
   const [showEndMarker, setShowEndMarker] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [hoveredSegment, setHoveredSegment] = useState(null);
+  const [selectedSegment, setSelectedSegment] = useState(null); // index into segments
+  const [customOrder, setCustomOrder] = useState(false); // segments were reordered by hand
+  const [draggedSegment, setDraggedSegment] = useState(null); // index being dragged in the list
+  const [segmentDropTarget, setSegmentDropTarget] = useState(null);
+  const [segmentHistory, setSegmentHistory] = useState({
+    past: [], // earlier segment lists, oldest first
+    future: [], // undone segment lists, next redo first
+  });
+  const [jobStatus, setJobStatus] = useState(null);
+  const [processingMode, setProcessingMode] = useState("reencode");
+  const [selectionMode, setSelectionMode] = useState("keep");
+  const [serverFilename, setServerFilename] = useState("");
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadStage, setUploadStage] = useState("uploading");
+  const [mediaInfo, setMediaInfo] = useState(null);
+  const [filmstrip, setFilmstrip] = useState(null); // thumbnail sprite layout
+  const [waveform, setWaveform] = useState(null); // { peaksPerSecond, peaks }
+  const [timelineZoom, setTimelineZoom] = useState(1);
+  const [analysis, setAnalysis] = useState(null); // { duration, scenes, silences }
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [timelineWidth, setTimelineWidth] = useState(0); // px, at the current zoom
+  const [snapToKeyframes, setSnapToKeyframes] = useState(false);
+  const [outputFormats, setOutputFormats] = useState(null);
+  const [output, setOutput] = useState({
+    container: "mp4",
+    videoCodec: "h264",
+    audioCodec: "aac",
+  });
+  const [qualityPresets, setQualityPresets] = useState([]);
+  const [qualityPreset, setQualityPreset] = useState("original");
+  const [qualityOverrides, setQualityOverrides] = useState({});
+  const [showAdvancedQuality, setShowAdvancedQuality] = useState(false);
+  const [retainedUntil, setRetainedUntil] = useState(null);
 
   const videoRef = useRef(null);
+  const timelineRef = useRef(null);
+  const timelineScrollRef = useRef(null);
+  const segmentDragRef = useRef(null); // { index, edge, startX, original, before, moved }
+  const keyDownRef = useRef(null);
+  const reverseTimerRef = useRef(null); // steps the video back while shuttling
   const fileInputRef = useRef(null);
+  const addSourceInputRef = useRef(null);
+  const sourceCountRef = useRef(0);
+  const pendingSeekRef = useRef(0); // where to start once a source has loaded
+  const jobEventsRef = useRef(null);
+  const jobIdRef = useRef(null);
+  const uploadAbortRef = useRef(null);
+  const loadedFileRef = useRef(null);
+  const uploadSessionRef = useRef(null);
+  const uploadedFilesRef = useRef(new Map()); // uploadKey -> server filename
+  const previewRef = useRef(null);
+  const resultPanelRef = useRef(null);
+
+  // --- Keyboard shortcuts (the handler is replaced on every render) ---
+  useEffect(() => {
+    const onKeyDown = (e) => keyDownRef.current?.(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // --- Close any open job stream and stop shuttling on unmount ---
+  useEffect(() => {
+    return () => {
+      jobEventsRef.current?.close();
+      clearInterval(reverseTimerRef.current);
+    };
+  }, []);
+
+  // --- Point out uploads a reload interrupted ---
+  useEffect(() => {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(UPLOAD_KEY_PREFIX))
+      .forEach((key) => {
+        const { name } = JSON.parse(localStorage.getItem(key));
+        toast(`Upload of "${name}" was interrupted. Open it again to resume.`, {
+          icon: "⏯️",
+          duration: 6000,
+        });
+      });
+  }, []);
 
   // --- Persist client ID ---
   useEffect(() => {
@@ -49,6 +336,7 @@ const App = () => {
           savedId = res.data.clientId;
           localStorage.setItem("clientId", savedId);
           setClientId(savedId);
+          setRetainedUntil(res.data.retainedUntil);
           toast.success("Connected to server");
         } catch (error) {
           toast.error("Failed to get client ID");
@@ -61,35 +349,205 @@ const App = () => {
     }
   }, []);
 
+  // --- Keep the server session alive while something is being edited ---
+  // The server deletes the files of clients that stop sending heartbeats. If
+  // it has already forgotten us, register again under the same ID; whatever
+  // it held for us is gone and gets uploaded again on the next export.
+  const sessionActive =
+    Boolean(videoFile) || isProcessing || Boolean(downloadToken);
+  useEffect(() => {
+    if (!clientId || !sessionActive) return;
+    let timer;
+    let stopped = false;
+
+    const beat = async () => {
+      let delay = DEFAULT_HEARTBEAT_INTERVAL;
+      try {
+        const res = await axios
+          .post("http://localhost:5000/heartbeat", { clientId })
+          .catch((error) => {
+            // The server forgot this client: register again; uploads are
+            // sent again on the next export
+            if (error.response?.status !== 404) throw error;
+            uploadedFilesRef.current.clear();
+            setServerFilename("");
+            return axios.post("http://localhost:5000/clients", { clientId });
+          });
+        if (stopped) return;
+        setRetainedUntil(res.data.retainedUntil);
+        delay = res.data.heartbeatInterval || delay;
+      } catch (error) {
+        console.error("Heartbeat failed:", error);
+      }
+      if (!stopped) timer = setTimeout(beat, delay);
+    };
+    beat();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [clientId, sessionActive]);
+
+  // --- Bring the result preview into view when it opens ---
+  useEffect(() => {
+    if (showResult)
+      resultPanelRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [showResult]);
+
+  // --- Load the containers and codecs the server can export ---
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/output-formats")
+      .then((res) => {
+        setOutputFormats(res.data.containers);
+        setOutput(res.data.default);
+        setQualityPresets(res.data.qualityPresets);
+        setQualityPreset(res.data.defaultQualityPreset);
+      })
+      .catch((error) => console.error("Error loading output formats:", error));
+  }, []);
+
+  // --- Track the timeline's width (filmstrip thumbnails are laid out in px) ---
+  useEffect(() => {
+    const timeline = timelineRef.current;
+    if (!timeline) return;
+    const observer = new ResizeObserver(([entry]) =>
+      setTimelineWidth(entry.contentRect.width)
+    );
+    observer.observe(timeline);
+    return () => observer.disconnect();
+  }, [videoUrl]);
+
+  // --- Keep the playhead in view when zooming ---
+  useEffect(() => {
+    const scroller = timelineScrollRef.current;
+    if (!scroller || !videoRef.current || !videoDuration) return;
+    scroller.scrollLeft =
+      (videoRef.current.currentTime / videoDuration) * scroller.scrollWidth -
+      scroller.clientWidth / 2;
+  }, [timelineZoom, videoDuration]);
+
+  // --- Fall back to the probed duration if the browser can't tell ---
+  useEffect(() => {
+    if (mediaInfo?.duration && !(videoDuration > 0))
+      setVideoDuration(mediaInfo.duration);
+  }, [mediaInfo, videoDuration]);
+
+  // --- Remember each source's duration once the editor knows it ---
+  useEffect(() => {
+    if (videoDuration > 0)
+      setSources((list) =>
+        list.map((source) =>
+          source.id === activeSourceId
+            ? { ...source, duration: videoDuration }
+            : source
+        )
+      );
+  }, [videoDuration, activeSourceId]);
+
+  const createSource = (file) => ({
+    id: `source-${++sourceCountRef.current}`,
+    file,
+    url: URL.createObjectURL(file),
+    name: file.name,
+    duration: 0,
+  });
+
+  // --- Show one of the project's videos in the editor, at `time` ---
+  // An unfinished upload of the previous one is resumed when it's needed
+  const showSource = (source, time = 0) => {
+    if (source.id === activeSourceId) return seekTo(time);
+    uploadAbortRef.current?.abort();
+    pendingSeekRef.current = time;
+    setActiveSourceId(source.id);
+    setVideoFile(source.file);
+    setVideoUrl(source.url);
+    setVideoDuration(0);
+    setTimelineZoom(1);
+    stopShuttle();
+    setIsSelecting(false);
+    setSelectedSegment(null);
+    setCurrentTime(time);
+    prepareVideo(source.file);
+  };
+
+  // --- Load a new video into the editor (starts a new project) ---
+  const loadVideoFile = (file) => {
+    const source = createSource(file);
+    setSources([source]);
+    resetSegments();
+    setDownloadToken("");
+    setResult(null);
+    toast.success(`Video "${file.name}" loaded successfully`);
+    showSource(source);
+  };
+
+  // --- Add another video to the project ---
+  const addSource = (file) => {
+    if (sources.length >= MAX_SOURCES) {
+      toast.error(`A project can join at most ${MAX_SOURCES} videos`);
+      return;
+    }
+    const source = createSource(file);
+    setSources([...sources, source]);
+    toast.success(`Video "${file.name}" added to the project`);
+    showSource(source);
+  };
+
+  // --- Drop a video and its segments from the project ---
+  // Its segments leave the undo history too, so undo can't bring back
+  // segments of a video that is gone
+  const removeSource = (id) => {
+    const remaining = sources.filter((source) => source.id !== id);
+    if (!remaining.length) return;
+    const keep = (list) => list.filter((seg) => seg.sourceId !== id);
+    setSources(remaining);
+    setSegments(keep(segments));
+    setSegmentHistory((history) => ({
+      past: history.past.map(keep),
+      future: history.future.map(keep),
+    }));
+    setSelectedSegment(null);
+    if (id === activeSourceId) showSource(remaining[0]);
+  };
+
   // --- Handle file selection ---
   const handleFileChange = (e) => {
     const file = e.target.files[0];
-    if (file) {
-      setVideoFile(file);
-      setVideoUrl(URL.createObjectURL(file));
-      setSegments([]);
-      setDownloadToken("");
-      setCurrentTime(0); // Reset current time when a new video is selected
-      toast.success(`Video "${file.name}" loaded successfully`);
-    }
+    if (file) loadVideoFile(file);
+  };
+
+  const handleAddSourceChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // the same file may be added again
+    if (file) addSource(file);
   };
 
   // --- Video events ---
   const handleVideoLoaded = () => {
     if (videoRef.current) {
       setVideoDuration(videoRef.current.duration);
-      // Reset video to beginning
-      videoRef.current.currentTime = 0;
-      setCurrentTime(0);
+      // Start at the beginning unless a jump to another source asked otherwise
+      videoRef.current.currentTime = pendingSeekRef.current;
+      setCurrentTime(pendingSeekRef.current);
+      pendingSeekRef.current = 0;
       toast.success("Video ready for editing");
     }
   };
 
+  const handleVideoError = () => {
+    toast.error(
+      "Your browser can't play this video, but it can still be processed"
+    );
+  };
+
   const handleTimeUpdate = () => {
     if (videoRef.current) setCurrentTime(videoRef.current.currentTime);
   };
 
   const togglePlayPause = () => {
+    if (shuttleSpeed) return stopShuttle();
     if (videoRef.current) {
       if (isPlaying) videoRef.current.pause();
       else videoRef.current.play();
@@ -97,6 +555,55 @@ const App = () => {
     }
   };
 
+  // --- J/K/L shuttle ---
+  // Forwards uses the playback rate; browsers can't play backwards, so
+  // reverse steps the paused video back on a timer instead.
+  const applyShuttle = (speed) => {
+    const video = videoRef.current;
+    clearInterval(reverseTimerRef.current);
+    setShuttleSpeed(speed);
+    if (!video) return;
+    video.playbackRate = Math.max(speed, 1);
+    if (speed > 0) {
+      video.play();
+    } else {
+      video.pause();
+      if (speed < 0)
+        reverseTimerRef.current = setInterval(() => {
+          const time = Math.max(video.currentTime + speed * 0.05, 0);
+          video.currentTime = time;
+          setCurrentTime(time);
+          if (time === 0) applyShuttle(0);
+        }, 50);
+    }
+  };
+
+  const stopShuttle = () => applyShuttle(0);
+
+  const shuttle = (direction) => {
+    const speed =
+      Math.sign(shuttleSpeed) === direction
+        ? Math.min(Math.abs(shuttleSpeed) * 2, MAX_SHUTTLE_SPEED)
+        : 1;
+    applyShuttle(speed * direction);
+  };
+
+  // --- Move the playhead (clamped to the video) ---
+  const seekTo = (time) => {
+    if (!videoRef.current) return;
+    const clamped = Math.min(Math.max(time, 0), videoDuration || 0);
+    videoRef.current.currentTime = clamped;
+    setCurrentTime(clamped);
+  };
+
+  const frameDuration = 1 / (mediaInfo?.video?.frameRate || DEFAULT_FRAME_RATE);
+
+  const stepBy = (seconds) => {
+    if (shuttleSpeed) stopShuttle();
+    else videoRef.current?.pause();
+    seekTo((videoRef.current?.currentTime ?? currentTime) + seconds);
+  };
+
   const handleSeek = (e) => {
     const time = parseFloat(e.target.value);
     if (videoRef.current) {
@@ -105,8 +612,9 @@ const App = () => {
     }
   };
 
-  // --- Check if segments overlap ---
+  // --- Check if segments overlap (only segments of one source can) ---
   const checkOverlap = (segment1, segment2) => {
+    if (segment1.sourceId !== segment2.sourceId) return false;
     return (
       (segment1.start <= segment2.end && segment1.end >= segment2.start) ||
       (segment2.start <= segment1.end && segment2.end >= segment1.start)
@@ -116,16 +624,198 @@ const App = () => {
   // --- Merge overlapping segments ---
   const mergeSegments = (segment1, segment2) => {
     return {
+      ...segment1, // Keep the color and source of the first segment
       start: Math.min(segment1.start, segment2.start),
       end: Math.max(segment1.end, segment2.end),
-      color: segment1.color, // Keep the color of the first segment
     };
   };
 
+  // Timeline order: by source, then by start time
+  const sourceIndex = (segment) =>
+    sources.findIndex((source) => source.id === segment.sourceId);
+  const compareSegments = (a, b) =>
+    sourceIndex(a) - sourceIndex(b) || a.start - b.start;
+
+  // --- Segment history ---
+  // Every edit goes through commitSegments so it can be undone. Live drag
+  // updates don't; the drop commits against the list from before the drag.
+  const commitSegments = (next, previous = segments) => {
+    setSegmentHistory((history) => ({
+      past: [...history.past, previous].slice(-MAX_UNDO_STEPS),
+      future: [],
+    }));
+    setSegments(next);
+  };
+
+  // A new project starts with no segments and no history
+  const resetSegments = () => {
+    setSegments([]);
+    setSelectedSegment(null);
+    setCustomOrder(false);
+    setSegmentHistory({ past: [], future: [] });
+  };
+
+  const undoSegments = () => {
+    const { past, future } = segmentHistory;
+    if (!past.length || segmentDragRef.current) return;
+    setSegmentHistory({
+      past: past.slice(0, -1),
+      future: [segments, ...future],
+    });
+    setSegments(past[past.length - 1]);
+    setSelectedSegment(null);
+  };
+
+  const redoSegments = () => {
+    const { past, future } = segmentHistory;
+    if (!future.length || segmentDragRef.current) return;
+    setSegmentHistory({
+      past: [...past, segments],
+      future: future.slice(1),
+    });
+    setSegments(future[0]);
+    setSelectedSegment(null);
+  };
+
+  const clearSegments = () => {
+    if (!segments.length) return;
+    commitSegments([]);
+    setSelectedSegment(null);
+    toast("Segments cleared", { icon: "🗑️" });
+  };
+
+  // --- Add a segment to a list, merging it with any it overlaps ---
+  // Returns the list, whether a merge happened and the segment's index. The
+  // list is kept in timeline order until segments are reordered by hand;
+  // then the segment goes to `at` (or where the first merged one was).
+  const placeSegment = (list, segment, at = list.length) => {
+    const updatedSegments = [];
+    let mergedSegment = segment;
+    let hasOverlap = false;
+    let position = null;
+
+    list.forEach((other, i) => {
+      if (i === at && position === null) position = updatedSegments.length;
+      if (checkOverlap(mergedSegment, other)) {
+        mergedSegment = mergeSegments(mergedSegment, other);
+        if (position === null) position = updatedSegments.length;
+        hasOverlap = true;
+      } else updatedSegments.push(other);
+    });
+
+    updatedSegments.splice(
+      position ?? updatedSegments.length,
+      0,
+      mergedSegment
+    );
+    if (!customOrder) updatedSegments.sort(compareSegments);
+    return {
+      segments: updatedSegments,
+      merged: hasOverlap,
+      index: updatedSegments.indexOf(mergedSegment),
+    };
+  };
+
+  // --- Reorder segments (the export joins them in list order) ---
+  const reorderSegment = (from, to) => {
+    if (from === to || to < 0 || to >= segments.length) return;
+    const updatedSegments = [...segments];
+    const [segment] = updatedSegments.splice(from, 1);
+    updatedSegments.splice(to, 0, segment);
+    commitSegments(updatedSegments);
+    setCustomOrder(true);
+    setSelectedSegment(to);
+  };
+
+  // Segments are dragged by their handle and dropped onto another segment
+  const startListDrag = (e, index) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(index)); // Firefox needs data
+    setDraggedSegment(index);
+  };
+
+  const endListDrag = () => {
+    setDraggedSegment(null);
+    setSegmentDropTarget(null);
+  };
+
+  const dropOnSegment = (e, index) => {
+    if (draggedSegment === null) return;
+    e.preventDefault();
+    reorderSegment(draggedSegment, index);
+    endListDrag();
+  };
+
+  // --- Transition from a segment into the next one in the list ---
+  // Returns false (and changes nothing) if a segment would be shorter than
+  // the transitions into and out of it
+  const setSegmentTransition = (index, changes) => {
+    const transition = {
+      type: "cut",
+      duration: DEFAULT_TRANSITION_DURATION,
+      ...segments[index].transition,
+      ...changes,
+    };
+    const updatedSegments = [...segments];
+    updatedSegments[index] = { ...segments[index], transition };
+    const overlap = (segment) =>
+      segment?.transition && segment.transition.type !== "cut"
+        ? segment.transition.duration
+        : 0;
+    const tooShort = [index, index + 1].some(
+      (i) =>
+        overlap(updatedSegments[i - 1]) +
+          (i < updatedSegments.length - 1 ? overlap(updatedSegments[i]) : 0) >
+        updatedSegments[i].end - updatedSegments[i].start
+    );
+    if (tooShort) {
+      toast.error("A transition can't be longer than the segments it joins");
+      return false;
+    }
+    commitSegments(updatedSegments);
+    return true;
+  };
+
+  const commitTransitionDuration = (index, e) => {
+    const value = parseFloat(e.target.value);
+    const current = segments[index].transition.duration;
+    if (!Number.isFinite(value) || value === current) {
+      e.target.value = current;
+      return;
+    }
+    const duration = Math.min(
+      Math.max(value, MIN_TRANSITION_DURATION),
+      MAX_TRANSITION_DURATION
+    );
+    if (
+      !setSegmentTransition(index, {
+        duration: parseFloat(duration.toFixed(2)),
+      })
+    )
+      e.target.value = current;
+  };
+
+  const resetSegmentOrder = () => {
+    commitSegments([...segments].sort(compareSegments));
+    setCustomOrder(false);
+    setSelectedSegment(null);
+    toast("Segments back in timeline order", { icon: "↕️" });
+  };
+
+  // --- Snap a time to the nearest keyframe when enabled ---
+  const snapTime = (time) => {
+    const keyframes = mediaInfo?.keyframes;
+    if (!snapToKeyframes || !keyframes?.length) return time;
+    return keyframes.reduce((nearest, keyframe) =>
+      Math.abs(keyframe - time) < Math.abs(nearest - time) ? keyframe : nearest
+    );
+  };
+
   // --- Segment selection ---
   const startSelection = () => {
-    setSelectionStart(currentTime);
-    setSelectionEnd(currentTime);
+    const time = snapTime(currentTime);
+    setSelectionStart(time);
+    setSelectionEnd(time);
     setIsSelecting(true);
     setShowStartMarker(true);
     setShowEndMarker(false);
@@ -134,7 +824,7 @@ const App = () => {
 
   const endSelection = () => {
     if (isSelecting) {
-      const endTime = currentTime;
+      const endTime = snapTime(currentTime);
       setSelectionEnd(endTime);
       setIsSelecting(false);
       setShowEndMarker(true);
@@ -146,33 +836,15 @@ const App = () => {
           start: parseFloat(Math.min(selectionStart, endTime).toFixed(2)),
           end: parseFloat(Math.max(selectionStart, endTime).toFixed(2)),
           color: segmentColors[colorIndex],
+          sourceId: activeSourceId,
         };
 
-        // Check for overlapping segments
-        let updatedSegments = [...segments];
-        let mergedSegment = newSegment;
-        let hasOverlap = false;
-
-        for (let i = 0; i < updatedSegments.length; i++) {
-          if (checkOverlap(mergedSegment, updatedSegments[i])) {
-            mergedSegment = mergeSegments(mergedSegment, updatedSegments[i]);
-            updatedSegments.splice(i, 1);
-            i--; // Adjust index after removal
-            hasOverlap = true;
-          }
-        }
-
-        if (hasOverlap) {
-          updatedSegments.push(mergedSegment);
+        const placed = placeSegment(segments, newSegment);
+        if (placed.merged)
           toast("Segments merged to avoid overlap", { icon: "🔗" });
-        } else {
-          updatedSegments.push(newSegment);
-          toast.success("Segment added", { icon: "✂️" });
-        }
-
-        // Sort segments by start time
-        updatedSegments.sort((a, b) => a.start - b.start);
-        setSegments(updatedSegments);
+        else toast.success("Segment added", { icon: "✂️" });
+        commitSegments(placed.segments);
+        setSelectedSegment(placed.index);
       }
 
       // Hide markers after a short delay
@@ -186,10 +858,191 @@ const App = () => {
   const removeSegment = (index) => {
     const newSegments = [...segments];
     newSegments.splice(index, 1);
-    setSegments(newSegments);
+    commitSegments(newSegments);
+    setSelectedSegment(null);
     toast("Segment removed", { icon: "🗑️" });
   };
 
+  // --- Change a segment's bounds, re-merging it with its neighbours ---
+  const updateSegment = (index, bounds, previous = segments) => {
+    const segment = { ...segments[index], ...bounds };
+    if (!(segment.end - segment.start >= MIN_SEGMENT_LENGTH)) {
+      toast.error("A segment must end after it starts");
+      return false;
+    }
+    const others = segments.filter((_, i) => i !== index);
+    const placed = placeSegment(others, segment, index);
+    if (placed.merged)
+      toast("Segments merged to avoid overlap", { icon: "🔗" });
+    commitSegments(placed.segments, previous);
+    setSelectedSegment(placed.index);
+    return true;
+  };
+
+  // Entry from the numeric fields in the segment list
+  const commitSegmentInput = (index, key, e) => {
+    const value = parseFloat(e.target.value);
+    const current = segments[index][key];
+    if (!Number.isFinite(value) || value === current) {
+      e.target.value = current;
+      return;
+    }
+    const duration = sources.find(
+      (source) => source.id === segments[index].sourceId
+    )?.duration;
+    const time = Math.min(Math.max(value, 0), duration || value);
+    if (!updateSegment(index, { [key]: parseFloat(time.toFixed(3)) }))
+      e.target.value = current;
+  };
+
+  // Step of the numeric segment fields: one frame when the frame rate is known
+  const frameStep = mediaInfo?.video?.frameRate
+    ? parseFloat((1 / mediaInfo.video.frameRate).toFixed(4))
+    : 0.01;
+
+  // --- Drag segments on the timeline ---
+  // The body moves a segment, its edges trim it. Changes show live and are
+  // merged with overlapping segments on drop; a press without movement
+  // selects the segment.
+  const timeAtPointer = (clientX) => {
+    const rect = timelineRef.current.getBoundingClientRect();
+    return ((clientX - rect.left) / rect.width) * videoDuration;
+  };
+
+  const startSegmentDrag = (e, index, edge) => {
+    if (isProcessing || !videoDuration) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    segmentDragRef.current = {
+      index,
+      edge,
+      startX: e.clientX,
+      original: segments[index],
+      before: segments,
+      moved: false,
+    };
+  };
+
+  const moveSegmentDrag = (e) => {
+    const drag = segmentDragRef.current;
+    if (!drag) return;
+    if (!drag.moved && Math.abs(e.clientX - drag.startX) < 3) return;
+    drag.moved = true;
+
+    const { original } = drag;
+    const offset = timeAtPointer(e.clientX) - timeAtPointer(drag.startX);
+    let { start, end } = original;
+    if (drag.edge === "start")
+      start = Math.min(
+        Math.max(snapTime(original.start + offset), 0),
+        end - MIN_SEGMENT_LENGTH
+      );
+    else if (drag.edge === "end")
+      end = Math.max(
+        Math.min(snapTime(original.end + offset), videoDuration),
+        start + MIN_SEGMENT_LENGTH
+      );
+    else {
+      const length = original.end - original.start;
+      start = Math.min(
+        Math.max(original.start + offset, 0),
+        videoDuration - length
+      );
+      end = start + length;
+    }
+
+    const updatedSegments = [...segments];
+    updatedSegments[drag.index] = {
+      ...original,
+      start: parseFloat(start.toFixed(2)),
+      end: parseFloat(end.toFixed(2)),
+    };
+    setSegments(updatedSegments);
+  };
+
+  const endSegmentDrag = () => {
+    const drag = segmentDragRef.current;
+    if (!drag) return;
+    segmentDragRef.current = null;
+    if (drag.moved) updateSegment(drag.index, {}, drag.before);
+    else setSelectedSegment(drag.index);
+  };
+
+  // --- Keyboard editing ---
+  // Nothing here fires while typing in a field, and Space is left to a
+  // focused button so it isn't pressed twice.
+  keyDownRef.current = (e) => {
+    if (e.target.closest?.("input, select, textarea, [contenteditable]"))
+      return;
+    const key = e.key.toLowerCase();
+
+    if (e.ctrlKey || e.metaKey) {
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) redoSegments();
+        else undoSegments();
+      } else if (key === "y") {
+        e.preventDefault();
+        redoSegments();
+      }
+      return;
+    }
+    if (e.altKey) return;
+
+    if (key === "?") return setShowShortcuts(!showShortcuts);
+    if (key === "escape") {
+      if (showShortcuts) setShowShortcuts(false);
+      else setSelectedSegment(null);
+      return;
+    }
+    if (!videoUrl || showShortcuts) return;
+
+    switch (key) {
+      case " ":
+        if (e.target.closest?.("button")) return;
+        togglePlayPause();
+        break;
+      case "j":
+        shuttle(-1);
+        break;
+      case "k":
+        stopShuttle();
+        break;
+      case "l":
+        shuttle(1);
+        break;
+      case "i":
+        if (!e.repeat) startSelection();
+        break;
+      case "o":
+        if (e.repeat) break;
+        if (isSelecting) endSelection();
+        else toast.error("Press I to set an in point first");
+        break;
+      case "arrowleft":
+      case "arrowright":
+        stepBy(
+          (key === "arrowleft" ? -1 : 1) * (e.shiftKey ? 1 : frameDuration)
+        );
+        break;
+      case "+":
+      case "=":
+        zoomTimeline(1);
+        break;
+      case "-":
+        zoomTimeline(-1);
+        break;
+      case "delete":
+      case "backspace":
+        if (selectedSegment === null || !segments[selectedSegment]) return;
+        removeSegment(selectedSegment);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
   // --- Format time with milliseconds ---
   const formatTime = (seconds) => {
     const h = Math.floor(seconds / 3600);
@@ -206,103 +1059,671 @@ const App = () => {
       .padStart(3, "0")}`;
   };
 
-  // --- Upload video ---
-  const uploadVideo = async () => {
-    if (!videoFile) return null;
+  // --- Format remaining time for the progress bar ---
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) return "Estimating...";
+    const total = Math.ceil(seconds);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return m > 0
+      ? `${m}m ${s.toString().padStart(2, "0")}s left`
+      : `${s}s left`;
+  };
 
-    const formData = new FormData();
-    formData.append("video", videoFile);
-    formData.append("clientId", clientId);
+  // --- Resumable chunked upload ---
+  // Continue this file's earlier upload if the server still has it
+  const openUploadSession = async (file, contentHash) => {
+    const saved = localStorage.getItem(uploadKey(file));
+    if (saved) {
+      try {
+        const { uploadId } = JSON.parse(saved);
+        const res = await axios.get(
+          `http://localhost:5000/uploads/${uploadId}`
+        );
+        return res.data;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
 
+    const res = await axios.post("http://localhost:5000/uploads", {
+      filename: file.name,
+      size: file.size,
+      clientId,
+      contentHash,
+    });
+    if (res.data.existing) return res.data;
+    localStorage.setItem(
+      uploadKey(file),
+      JSON.stringify({ uploadId: res.data.uploadId, name: file.name })
+    );
+    return res.data;
+  };
+
+  // Send one chunk, retrying dropped connections and corrupted chunks
+  const sendChunk = async (
+    uploadId,
+    index,
+    chunk,
+    checksum,
+    signal,
+    onProgress
+  ) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await axios.put(
+          `http://localhost:5000/uploads/${uploadId}/chunks/${index}`,
+          chunk,
+          {
+            headers: {
+              "Content-Type": "application/octet-stream",
+              "X-Chunk-Checksum": checksum,
+            },
+            signal,
+            onUploadProgress: (e) => onProgress(e.loaded),
+          }
+        );
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status === 422 || status >= 500;
+        if (
+          axios.isCancel(error) ||
+          !retryable ||
+          attempt >= MAX_CHUNK_ATTEMPTS
+        )
+          throw error;
+        onProgress(0);
+        await wait(1000 * attempt);
+      }
+    }
+  };
+
+  const uploadVideo = async (file) => {
+    if (!file) return null;
+
+    const controller = new AbortController();
+    uploadAbortRef.current = controller;
+    setIsUploading(true);
+
+    uploadSessionRef.current = null;
     try {
-      const response = await axios.post(
-        "http://localhost:5000/upload",
-        formData,
-        {
-          headers: { "Content-Type": "multipart/form-data" },
-          onUploadProgress: (progressEvent) => {
-            const progress = Math.round(
-              (progressEvent.loaded * 100) / progressEvent.total
-            );
-            setUploadProgress(progress);
-          },
-        }
+      // Hash first: the server may already have this exact file
+      setUploadStage("hashing");
+      const { chunkHashes, contentHash } = await hashFile(
+        file,
+        controller.signal,
+        (fraction) => setUploadProgress(Math.round(fraction * 100))
       );
+      const session = await openUploadSession(file, contentHash);
+      if (session.existing) {
+        toast("Already on the server, upload skipped", { icon: "⚡" });
+        setUploadProgress(0);
+        return session.filename;
+      }
+
+      setUploadStage("uploading");
+      uploadSessionRef.current = { uploadId: session.uploadId, file };
+      const { uploadId, chunkSize, chunkCount } = session;
+      const received = new Set(session.received);
+      if (received.size)
+        toast(
+          `Resuming upload (${Math.round(
+            (received.size / chunkCount) * 100
+          )}% already sent)`,
+          { icon: "⏯️" }
+        );
+
+      const chunkBytes = (i) => Math.min(chunkSize, file.size - i * chunkSize);
+      let sentBytes = [...received].reduce((sum, i) => sum + chunkBytes(i), 0);
+      setUploadProgress(Math.round((sentBytes * 100) / file.size));
+
+      for (let i = 0; i < chunkCount; i++) {
+        if (received.has(i)) continue;
+        const chunk = file.slice(i * chunkSize, (i + 1) * chunkSize);
+        const before = sentBytes;
+        const checksum =
+          chunkSize === CHUNK_SIZE ? chunkHashes[i] : await sha256Hex(chunk);
+        await sendChunk(
+          uploadId,
+          i,
+          chunk,
+          checksum,
+          controller.signal,
+          (loaded) =>
+            setUploadProgress(Math.round(((before + loaded) * 100) / file.size))
+        );
+        sentBytes += chunk.size;
+      }
 
+      const response = await axios.post(
+        `http://localhost:5000/uploads/${uploadId}/complete`,
+        null,
+        { signal: controller.signal }
+      );
+      localStorage.removeItem(uploadKey(file));
+      uploadSessionRef.current = null;
       setUploadProgress(0);
       return response.data.filename;
     } catch (error) {
-      toast.error("Failed to upload video");
+      setUploadProgress(0);
+      if (axios.isCancel(error) || error.name === "AbortError") return null;
+      // An expired or discarded session can't be resumed
+      if (error.response?.status === 404)
+        localStorage.removeItem(uploadKey(file));
+      toast.error(error.response?.data?.error || "Failed to upload video");
       console.error("Error uploading video:", error);
       return null;
+    } finally {
+      if (uploadAbortRef.current === controller) {
+        uploadAbortRef.current = null;
+        setIsUploading(false);
+      }
+    }
+  };
+
+  // --- Upload and analyze a video in the background ---
+  const prepareVideo = async (file) => {
+    loadedFileRef.current = file;
+    setServerFilename("");
+    setMediaInfo(null);
+    setFilmstrip(null);
+    setWaveform(null);
+    setAnalysis(null);
+
+    // Files uploaded earlier in this session are not sent again
+    const filename =
+      uploadedFilesRef.current.get(uploadKey(file)) ||
+      (await uploadVideo(file));
+    if (!filename || loadedFileRef.current !== file) return null;
+    uploadedFilesRef.current.set(uploadKey(file), filename);
+    setServerFilename(filename);
+
+    try {
+      const res = await axios.get(`http://localhost:5000/probe/${filename}`);
+      if (loadedFileRef.current === file) setMediaInfo(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to analyze video");
+      console.error("Error probing video:", error);
+    }
+    loadTimelinePreviews(filename, file);
+    return filename;
+  };
+
+  // --- Filmstrip and waveform; the timeline works without them ---
+  const loadTimelinePreviews = (filename, file) => {
+    const load = (kind, setPreview) =>
+      axios
+        .get(`http://localhost:5000/${kind}/${filename}`)
+        .then((res) => {
+          if (loadedFileRef.current === file) setPreview(res.data);
+        })
+        .catch((error) => {
+          if (error.response?.status !== 404)
+            console.error(`Error loading ${kind}:`, error);
+        });
+    load("filmstrip", (data) =>
+      setFilmstrip({
+        ...data,
+        url: `http://localhost:5000/filmstrip/${filename}/sprite.jpg`,
+      })
+    );
+    load("waveform", setWaveform);
+  };
+
+  // --- Scene and silence detection ---
+  const analyzeVideo = async () => {
+    const file = loadedFileRef.current;
+    setIsAnalyzing(true);
+    try {
+      const res = await axios.post("http://localhost:5000/analyze", {
+        filename: serverFilename,
+      });
+      if (loadedFileRef.current !== file) return;
+      setAnalysis(res.data);
+      toast.success(
+        `Found ${res.data.scenes.length} scene cut${
+          res.data.scenes.length === 1 ? "" : "s"
+        } and ${res.data.silences.length} silence${
+          res.data.silences.length === 1 ? "" : "s"
+        }`,
+        { icon: "🔍" }
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to analyze video");
+      console.error("Error analyzing video:", error);
+    } finally {
+      setIsAnalyzing(false);
     }
   };
 
-  // --- Process video ---
-  const processVideo = async () => {
-    if (segments.length === 0) {
-      toast.error("Please select at least one segment");
+  // Merge a batch of new segments into the list as a single undoable edit
+  const addSegments = (newSegments) => {
+    let updatedSegments = segments;
+    for (const { start, end } of newSegments)
+      updatedSegments = placeSegment(updatedSegments, {
+        start: parseFloat(start.toFixed(2)),
+        end: parseFloat(end.toFixed(2)),
+        color: segmentColors[updatedSegments.length % segmentColors.length],
+        sourceId: activeSourceId,
+      }).segments;
+    commitSegments(updatedSegments);
+    setSelectedSegment(null);
+  };
+
+  // One segment for every stretch of sound
+  const addSegmentsBetweenSilences = () => {
+    const ranges = invertSegments(
+      analysis.silences,
+      videoDuration || analysis.duration
+    );
+    if (!ranges.length) {
+      toast.error("The whole video is silent");
+      return;
+    }
+    addSegments(ranges);
+    toast.success(
+      `Added ${ranges.length} segment${
+        ranges.length === 1 ? "" : "s"
+      } between silences`,
+      { icon: "✂️" }
+    );
+  };
+
+  // Move boundaries of the shown video's segments near a scene cut (or
+  // either end) onto it
+  const snapSegmentsToScenes = () => {
+    const cuts = [0, ...analysis.scenes, videoDuration || analysis.duration];
+    let moved = 0;
+    const snap = (time) => {
+      const nearest = cuts.reduce((best, cut) =>
+        Math.abs(cut - time) < Math.abs(best - time) ? cut : best
+      );
+      if (nearest === time || Math.abs(nearest - time) > SCENE_SNAP_DISTANCE)
+        return time;
+      moved++;
+      return nearest;
+    };
+
+    let updatedSegments = [];
+    for (const segment of segments) {
+      if (segment.sourceId !== activeSourceId) {
+        updatedSegments = [...updatedSegments, segment];
+        continue;
+      }
+      const start = snap(segment.start);
+      const end = snap(segment.end);
+      if (end - start >= MIN_SEGMENT_LENGTH)
+        updatedSegments = placeSegment(updatedSegments, {
+          ...segment,
+          start: parseFloat(start.toFixed(3)),
+          end: parseFloat(end.toFixed(3)),
+        }).segments;
+    }
+    if (!moved) {
+      toast("No segment boundaries are near a scene cut", { icon: "ℹ️" });
+      return;
+    }
+    commitSegments(updatedSegments);
+    setSelectedSegment(null);
+    toast.success(
+      `Snapped ${moved} boundar${moved === 1 ? "y" : "ies"} to scene cuts`,
+      { icon: "🎞️" }
+    );
+  };
+
+  // --- Label for the current job stage ---
+  const describeJobStage = (job) => {
+    if (job.status === "queued")
+      return job.queuePosition
+        ? `Queued (position ${job.queuePosition})`
+        : "Waiting to start";
+    if (job.stage === "analyzing") return "Analyzing video";
+    if (job.stage === "transitions") return "Adding transitions";
+    if (job.stage === "concat") return "Joining segments";
+    if (job.stage === "storing") return "Saving result";
+    return `Segment ${job.segmentIndex + 1} of ${job.segmentCount}`;
+  };
+
+  // --- Follow job progress over Server-Sent Events ---
+  const watchJob = (jobId) =>
+    new Promise((resolve, reject) => {
+      const source = new EventSource(
+        `http://localhost:5000/jobs/${jobId}/events?clientId=${encodeURIComponent(
+          clientId
+        )}`
+      );
+      jobEventsRef.current = source;
+
+      source.onmessage = (event) => {
+        const job = JSON.parse(event.data);
+        setJobStatus(job);
+        if (job.status === "completed") {
+          source.close();
+          resolve(job);
+        } else if (job.status === "failed") {
+          source.close();
+          reject(new Error(job.error || "Video processing failed"));
+        } else if (job.status === "cancelled") {
+          source.close();
+          const error = new Error("Video processing cancelled");
+          error.cancelled = true;
+          reject(error);
+        }
+      };
+
+      source.onerror = () => {
+        // EventSource retries on its own unless the stream is closed for good
+        if (source.readyState === EventSource.CLOSED)
+          reject(new Error("Lost connection to the server"));
+      };
+    });
+
+  // --- Process video ---
+  const processVideo = async () => {
+    if (segments.length === 0) {
+      toast.error("Please select at least one segment");
+      return;
+    }
+
+    setIsProcessing(true);
+    setDownloadToken("");
+    setResult(null);
+
+    // Remove mode keeps the rest of every video, keep mode only needs the
+    // videos segments were marked in
+    const used = sources.filter(
+      (source) =>
+        selectionMode === "remove" ||
+        segments.some((seg) => seg.sourceId === source.id)
+    );
+
+    // Files uploaded earlier in this session are not sent again; the shown
+    // video goes through prepareVideo so the editor learns its upload
+    const uploadSources = async (again) => {
+      const uploaded = [];
+      for (const source of used) {
+        const key = uploadKey(source.file);
+        if (again) uploadedFilesRef.current.delete(key);
+        const filename =
+          uploadedFilesRef.current.get(key) ||
+          (source.id === activeSourceId
+            ? await prepareVideo(source.file)
+            : await uploadVideo(source.file));
+        if (!filename) return null;
+        uploadedFilesRef.current.set(key, filename);
+        uploaded.push({ id: source.id, filename });
+      }
+      return uploaded;
+    };
+
+    const submit = (uploaded) =>
+      axios.post("http://localhost:5000/process", {
+        sources: uploaded,
+        segments: segments.map(({ start, end, sourceId, transition }) => ({
+          start,
+          end,
+          sourceId,
+          // Cut-out segments are never joined, so they have no transitions
+          transition:
+            selectionMode === "keep" && transition?.type !== "cut"
+              ? transition
+              : undefined,
+        })),
+        keepOrder: customOrder && selectionMode === "keep",
+        selection: selectionMode,
+        clientId,
+        // Audio is always re-encoded, so the cut mode doesn't matter there
+        mode: exportKind === "audioOnly" ? "reencode" : processingMode,
+        output:
+          exportKind === "animated"
+            ? { container: output.container }
+            : exportKind === "audioOnly"
+            ? { container: output.container, audioCodec: output.audioCodec }
+            : output,
+        quality: buildQuality(),
+      });
+
+    try {
+      const uploaded = await uploadSources(false);
+      if (!uploaded) return setIsProcessing(false);
+
+      const response = await submit(uploaded).catch(async (error) => {
+        // The server drops idle uploads; send the files again and retry once
+        if (error.response?.status !== 404) throw error;
+        const again = await uploadSources(true);
+        if (!again) throw error;
+        return submit(again);
+      });
+
+      jobIdRef.current = response.data.jobId;
+      setJobStatus({
+        status: "queued",
+        queuePosition: response.data.queuePosition,
+        progress: 0,
+        eta: null,
+      });
+      const job = await watchJob(response.data.jobId);
+
+      setDownloadToken(job.downloadToken);
+      setResult(job.result);
+      setShowResult(true);
+      toast.success("Video processed successfully", { icon: "🎉" });
+      if (job.warning) toast(job.warning, { icon: "ℹ️" });
+    } catch (error) {
+      if (error.cancelled) toast("Processing cancelled", { icon: "🛑" });
+      else if ([400, 422, 429].includes(error.response?.status))
+        toast.error(error.response.data.error || "Failed to process video");
+      else toast.error("Failed to process video");
+      console.error("Error processing video:", error);
+    } finally {
+      jobEventsRef.current = null;
+      jobIdRef.current = null;
+      setJobStatus(null);
+      setIsProcessing(false);
+    }
+  };
+
+  // --- Pick an export container, keeping codecs it can hold ---
+  const selectedContainer = outputFormats?.find(
+    (c) => c.value === output.container
+  );
+  const selectedAudioCodec = selectedContainer?.audioCodecs.find(
+    (c) => c.value === output.audioCodec
+  );
+  // The ranges of every video that end up in the export when segments mark
+  // what to cut (videos not loaded yet are left out until their duration is
+  // known)
+  const keptRanges =
+    selectionMode === "remove" && videoDuration
+      ? sources.flatMap((source) =>
+          source.duration
+            ? invertSegments(
+                segments
+                  .filter((seg) => seg.sourceId === source.id)
+                  .sort((a, b) => a.start - b.start),
+                source.duration
+              ).map((range) => ({ ...range, sourceId: source.id }))
+            : []
+        )
+      : null;
+
+  const exportKind = selectedContainer?.animated
+    ? "animated"
+    : selectedContainer?.audioOnly
+    ? "audioOnly"
+    : "video";
+
+  const changeContainer = (value) => {
+    const container = outputFormats.find((c) => c.value === value);
+    const keep = (codecs, current) =>
+      codecs.some((c) => c.value === current)
+        ? current
+        : codecs[0]?.value ?? null;
+    setOutput({
+      container: value,
+      videoCodec: keep(container.videoCodecs, output.videoCodec),
+      audioCodec: keep(container.audioCodecs, output.audioCodec),
+    });
+  };
+
+  // --- Quality preset plus any advanced overrides ---
+  const presetSettings =
+    qualityPresets.find((p) => p.value === qualityPreset)?.settings || {};
+
+  const changeQualityPreset = (value) => {
+    setQualityPreset(value);
+    setQualityOverrides({});
+  };
+
+  // Value a quality field ends up with if the user leaves it alone
+  const qualityPlaceholder = (key) => {
+    if (key === "crf") {
+      const codec = selectedContainer?.videoCodecs.find(
+        (c) => c.value === output.videoCodec
+      );
+      if (codec) return String(codec.crf + (presetSettings.crfOffset || 0));
+    }
+    return presetSettings[key] !== undefined ? String(presetSettings[key]) : "";
+  };
+
+  const isQualityUsed = (key) =>
+    !(unusedQualitySettings[exportKind] || []).includes(key);
+
+  // Sample rates the selected audio encoder accepts
+  const sampleRateChoices = selectedAudioCodec?.sampleRates || audioSampleRates;
+
+  const buildQuality = () => {
+    // Presets describe video, so audio-only exports go without one
+    const quality = exportKind === "audioOnly" ? {} : { preset: qualityPreset };
+    for (const [key, value] of Object.entries(qualityOverrides)) {
+      if (value === "" || value === undefined || !isQualityUsed(key)) continue;
+      if (key === "audioBitrate" && !selectedAudioCodec?.bitrate) continue;
+      if (key === "sampleRate" && !sampleRateChoices.includes(Number(value)))
+        continue;
+      quality[key] = Number(value);
+    }
+    // A target size decides the bitrate, so CRF has nothing left to do
+    if (quality.targetSize !== undefined || presetSettings.targetSize)
+      delete quality.crf;
+    return quality;
+  };
+
+  // Bitrate and sample rate pickers, shared by audio-only and video exports
+  const renderAudioQualityFields = () => [
+    selectedAudioCodec?.bitrate && (
+      <label key="audioBitrate" className="text-xs text-gray-400">
+        Audio bitrate
+        <select
+          value={qualityOverrides.audioBitrate ?? ""}
+          onChange={(e) =>
+            setQualityOverrides({
+              ...qualityOverrides,
+              audioBitrate: e.target.value,
+            })
+          }
+          disabled={isProcessing}
+          className="select select-sm w-full mt-1 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+        >
+          <option value="">Default ({selectedAudioCodec.bitrate} kb/s)</option>
+          {audioBitrates.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate} kb/s
+            </option>
+          ))}
+        </select>
+      </label>
+    ),
+    <label key="sampleRate" className="text-xs text-gray-400">
+      Sample rate
+      <select
+        value={qualityOverrides.sampleRate ?? ""}
+        onChange={(e) =>
+          setQualityOverrides({
+            ...qualityOverrides,
+            sampleRate: e.target.value,
+          })
+        }
+        disabled={isProcessing}
+        className="select select-sm w-full mt-1 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+      >
+        <option value="">Source</option>
+        {sampleRateChoices.map((rate) => (
+          <option key={rate} value={rate}>
+            {rate / 1000} kHz
+          </option>
+        ))}
+      </select>
+    </label>,
+  ];
+
+  // --- Cancel the running upload or job ---
+  const cancelProcessing = async () => {
+    if (uploadAbortRef.current) {
+      uploadAbortRef.current.abort();
+      // A cancelled upload is not worth resuming later
+      const upload = uploadSessionRef.current;
+      if (upload) {
+        uploadSessionRef.current = null;
+        localStorage.removeItem(uploadKey(upload.file));
+        axios
+          .delete(`http://localhost:5000/uploads/${upload.uploadId}`)
+          .catch((error) => console.error("Error discarding upload:", error));
+      }
+      toast("Upload cancelled", { icon: "🛑" });
       return;
     }
 
-    setIsProcessing(true);
-    toast.loading("Processing video...", { id: "process" });
-
+    const jobId = jobIdRef.current;
+    if (!jobId) return;
     try {
-      const filename = await uploadVideo();
-      if (!filename) return setIsProcessing(false);
-
-      const response = await axios.post("http://localhost:5000/process", {
-        filename,
-        segments,
-        clientId,
-      });
-
-      setDownloadToken(response.data.downloadToken);
-      toast.success("Video processed successfully", {
-        id: "process",
-        icon: "🎉",
+      await axios.delete(`http://localhost:5000/jobs/${jobId}`, {
+        params: { clientId },
       });
     } catch (error) {
-      toast.error("Failed to process video", { id: "process" });
-      console.error("Error processing video:", error);
-    } finally {
-      setIsProcessing(false);
+      toast.error("Failed to cancel processing");
+      console.error("Error cancelling job:", error);
     }
   };
 
-  // --- Download video safely ---
-  const downloadVideo = async () => {
+  // --- Download video ---
+  // The server either streams the file or redirects to a signed storage link;
+  // both answer with an attachment, so the browser saves it in place. Links
+  // allow a few downloads, so the button stays until the next export.
+  const downloadVideo = () => {
     if (!downloadToken) return;
-    try {
-      const res = await axios.get(
-        `http://localhost:5000/download/${downloadToken}`,
-        { responseType: "blob" }
-      );
+    const a = document.createElement("a");
+    a.href = `http://localhost:5000/download/${downloadToken}?clientId=${encodeURIComponent(
+      clientId
+    )}`;
+    a.click();
+    toast.success("Download started", { icon: "⬇️" });
+  };
 
-      // Get the filename from the server's response headers
-      const contentDisposition = res.headers["content-disposition"];
-      let filename = "vidsnip-edited-video.mp4"; // A default filename
+  // --- Result preview ---
+  const previewUrl = `http://localhost:5000/preview/${downloadToken}?clientId=${encodeURIComponent(
+    clientId
+  )}`;
 
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename="(.+)"/);
-        if (filenameMatch && filenameMatch.length === 2) {
-          filename = filenameMatch[1]; 
-        }
-      }
+  const seekPreview = (time) => {
+    if (previewRef.current) previewRef.current.currentTime = time;
+    setPreviewTime(time);
+  };
 
-      const url = window.URL.createObjectURL(new Blob([res.data]));
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename; // Use the filename from the server
-      a.click();
-      window.URL.revokeObjectURL(url);
-      setDownloadToken("");
-      toast.success("Download started", { icon: "⬇️" });
-    } catch (err) {
-      toast.error("Failed to download video");
-      console.error(err);
-    }
+  // Close the preview and show the source at the point being previewed, so
+  // the segments can be adjusted and exported again from the same uploads
+  const backToEditing = () => {
+    const segment =
+      result.segments.find((seg) => previewTime < seg.end) ||
+      result.segments[result.segments.length - 1];
+    const sourceTime = Math.min(
+      segment.sourceEnd,
+      segment.sourceStart + Math.max(0, previewTime - segment.start)
+    );
+    previewRef.current?.pause();
+    setShowResult(false);
+    const source = sources.find((s) => s.id === segment.sourceId);
+    if (source) showSource(source, sourceTime);
+    videoRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
   // --- Cleanup files manually ---
@@ -311,10 +1732,22 @@ const App = () => {
     try {
       await axios.post("http://localhost:5000/cleanup", { clientId });
       toast.success("Files cleaned up successfully");
+      uploadAbortRef.current?.abort();
+      uploadedFilesRef.current.clear();
+      loadedFileRef.current = null;
+      setSources([]);
+      setActiveSourceId(null);
       setVideoFile(null);
       setVideoUrl("");
-      setSegments([]);
+      setServerFilename("");
+      setMediaInfo(null);
+      setFilmstrip(null);
+      setWaveform(null);
+      setAnalysis(null);
+      stopShuttle();
+      resetSegments();
       setDownloadToken("");
+      setResult(null);
       setCurrentTime(0); // Reset current time when cleaning up
     } catch (err) {
       toast.error("Failed to clean up files");
@@ -325,6 +1758,44 @@ const App = () => {
   const calculatePosition = (time) =>
     videoDuration ? (time / videoDuration) * 100 : 0;
 
+  // --- Filmstrip and waveform layers of the timeline ---
+  // Thumbnails are drawn at a fixed width, each showing the sprite tile
+  // nearest the middle of the time it covers
+  const filmstripTiles = [];
+  if (filmstrip && videoDuration && timelineWidth) {
+    const { interval, count, columns } = filmstrip;
+    const rows = Math.ceil(count / columns);
+    const slots = Math.max(1, Math.round(timelineWidth / FILMSTRIP_TILE_WIDTH));
+    for (let i = 0; i < slots; i++) {
+      const time = ((i + 0.5) / slots) * videoDuration;
+      const tile = Math.min(count - 1, Math.floor(time / interval));
+      const column = tile % columns;
+      const row = Math.floor(tile / columns);
+      filmstripTiles.push({
+        left: (i / slots) * 100,
+        width: 100 / slots,
+        backgroundSize: `${columns * 100}% ${rows * 100}%`,
+        backgroundPosition: `${
+          columns > 1 ? (column / (columns - 1)) * 100 : 0
+        }% ${rows > 1 ? (row / (rows - 1)) * 100 : 0}%`,
+      });
+    }
+  }
+
+  // Peaks mirrored around the middle, one x unit per peak
+  const waveformPath = useMemo(() => {
+    if (!waveform?.peaks.length) return "";
+    const { peaks } = waveform;
+    const top = peaks.map((peak, i) => `L${i} ${50 - peak * 50}`);
+    const bottom = peaks.map((peak, i) => `L${i} ${50 + peak * 50}`).reverse();
+    return `M0 50${top.join("")}${bottom.join("")}Z`;
+  }, [waveform]);
+
+  const zoomTimeline = (direction) =>
+    setTimelineZoom((zoom) =>
+      Math.min(Math.max(zoom * 2 ** direction, 1), MAX_TIMELINE_ZOOM)
+    );
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -339,12 +1810,7 @@ const App = () => {
     setIsDragging(false);
     const file = e.dataTransfer.files[0];
     if (file && file.type.startsWith("video/")) {
-      setVideoFile(file);
-      setVideoUrl(URL.createObjectURL(file));
-      setSegments([]);
-      setDownloadToken("");
-      setCurrentTime(0); // Reset current time when a new video is dropped
-      toast.success(`Video "${file.name}" loaded successfully`);
+      loadVideoFile(file);
     } else {
       toast.error("Please drop a valid video file");
     }
@@ -401,6 +1867,18 @@ const App = () => {
             <h1 className="text-2xl font-bold text-white">VidSnip</h1>
           </div>
           <div className="flex items-center space-x-2">
+            {retainedUntil && (
+              <div
+                className="badge badge-outline bg-gray-800 bg-opacity-60 text-gray-400 border-gray-700 px-3 py-4"
+                title="Your files stay on the server while this page is open. If it is closed, they are deleted after this time."
+              >
+                Files kept until{" "}
+                {new Date(retainedUntil).toLocaleTimeString([], {
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </div>
+            )}
             <div className="badge badge-outline bg-gray-800 bg-opacity-60 text-gray-300 border-gray-700 px-3 py-4">
               Client ID: {clientId}
             </div>
@@ -408,6 +1886,39 @@ const App = () => {
         </div>
       </header>
 
+      {/* Keyboard shortcut help */}
+      {showShortcuts && (
+        <div
+          className="modal modal-open"
+          onClick={() => setShowShortcuts(false)}
+        >
+          <div
+            className="modal-box bg-gray-900 border border-gray-800"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h3 className="text-white text-lg mb-4">Keyboard shortcuts</h3>
+            <table className="table table-sm text-gray-300">
+              <tbody>
+                {keyboardShortcuts.map(([keys, description]) => (
+                  <tr key={keys} className="border-gray-800">
+                    <td className="font-mono whitespace-nowrap">{keys}</td>
+                    <td>{description}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="modal-action">
+              <button
+                onClick={() => setShowShortcuts(false)}
+                className="btn btn-sm bg-gray-800 border-gray-700 text-gray-300 hover:bg-gray-700"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Main Content */}
       <main className="container mx-auto p-4 max-w-7xl">
         {/* Upload Section */}
@@ -428,6 +1939,13 @@ const App = () => {
                 accept="video/*"
                 className="hidden"
               />
+              <input
+                type="file"
+                ref={addSourceInputRef}
+                onChange={handleAddSourceChange}
+                accept="video/*"
+                className="hidden"
+              />
               <motion.button
                 className="btn bg-gradient-to-r from-blue-500 to-teal-500 border-none text-white hover:from-blue-600 hover:to-teal-600 shadow-lg"
                 onClick={() => fileInputRef.current.click()}
@@ -451,6 +1969,32 @@ const App = () => {
                 Select Video
               </motion.button>
               {videoFile && (
+                <motion.button
+                  className="btn bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-opacity-80"
+                  onClick={() => addSourceInputRef.current.click()}
+                  disabled={isProcessing || sources.length >= MAX_SOURCES}
+                  title="Add another video to join with this one"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    className="h-5 w-5"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                    stroke="currentColor"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M12 4v16m8-8H4"
+                    />
+                  </svg>
+                  Add Video
+                </motion.button>
+              )}
+              {videoFile && sources.length < 2 && (
                 <motion.div
                   className="text-gray-300 flex items-center space-x-2"
                   initial={{ opacity: 0, y: 10 }}
@@ -498,6 +2042,60 @@ const App = () => {
                 Clean Up
               </motion.button>
             </div>
+            {sources.length > 1 && (
+              <div className="flex flex-wrap justify-center gap-2 mt-4">
+                {sources.map((source, index) => (
+                  <div
+                    key={source.id}
+                    className={`join border rounded-lg ${
+                      source.id === activeSourceId
+                        ? "border-blue-500"
+                        : "border-gray-700"
+                    }`}
+                  >
+                    <button
+                      onClick={() => showSource(source)}
+                      disabled={isProcessing}
+                      className={`btn btn-sm join-item border-none ${
+                        source.id === activeSourceId
+                          ? "bg-gradient-to-r from-blue-500 to-teal-500 text-white"
+                          : "bg-gray-800 bg-opacity-60 text-gray-300"
+                      }`}
+                      title={source.name}
+                    >
+                      <span className="badge badge-sm bg-gray-900 bg-opacity-60 border-none text-gray-300">
+                        {index + 1}
+                      </span>
+                      <span className="max-w-[10rem] truncate">
+                        {source.name}
+                      </span>
+                    </button>
+                    <button
+                      onClick={() => removeSource(source.id)}
+                      disabled={isProcessing}
+                      className="btn btn-sm join-item border-none bg-gray-800 bg-opacity-60 text-gray-400 hover:bg-red-500 hover:bg-opacity-20 hover:text-red-400"
+                      title="Remove this video and its segments"
+                      aria-label={`Remove ${source.name}`}
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        className="h-4 w-4"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M6 18L18 6M6 6l12 12"
+                        />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             {!videoFile && (
               <div className="text-center mt-4 text-gray-400">
                 <p>Drag and drop a video file here or click the button above</p>
@@ -522,6 +2120,10 @@ const App = () => {
                     src={videoUrl}
                     onLoadedMetadata={handleVideoLoaded}
                     onTimeUpdate={handleTimeUpdate}
+                    onPlay={() => setIsPlaying(true)}
+                    onPause={() => setIsPlaying(false)}
+                    onEnded={stopShuttle}
+                    onError={handleVideoError}
                     className="w-full h-full"
                   />
                 </div>
@@ -584,7 +2186,13 @@ const App = () => {
                         </span>
                       </div>
                     </div>
-                    <div className="text-gray-400 text-sm">
+                    <div className="flex items-center gap-3 text-gray-400 text-sm">
+                      {shuttleSpeed !== 0 && (
+                        <span className="badge badge-outline border-gray-700 text-gray-300 font-mono">
+                          {shuttleSpeed < 0 ? "◀" : "▶"}{" "}
+                          {Math.abs(shuttleSpeed)}×
+                        </span>
+                      )}
                       {isSelecting ? (
                         <span className="flex items-center">
                           <span className="w-2 h-2 bg-red-500 rounded-full mr-2 animate-pulse"></span>
@@ -593,72 +2201,198 @@ const App = () => {
                       ) : (
                         <span>Ready</span>
                       )}
+                      <button
+                        onClick={() => setShowShortcuts(true)}
+                        title="Keyboard shortcuts (?)"
+                        className="btn btn-ghost btn-xs text-gray-400 hover:bg-gray-700"
+                      >
+                        ?
+                      </button>
                     </div>
                   </div>
 
                   {/* Timeline */}
                   <div className="mb-6">
-                    <div className="relative h-16 bg-gray-800 bg-opacity-60 rounded-xl overflow-hidden shadow-inner">
-                      {segments.map((segment, index) => (
-                        <motion.div
-                          key={index}
-                          className="absolute h-12 top-2 rounded-md shadow-md cursor-pointer"
-                          style={{
-                            left: `${calculatePosition(segment.start)}%`,
-                            width: `${calculatePosition(
-                              segment.end - segment.start
-                            )}%`,
-                            backgroundColor: segment.color,
-                          }}
-                          title={`${formatTime(segment.start)} - ${formatTime(
-                            segment.end
-                          )}`}
-                          initial={{ opacity: 0, scale: 0.8 }}
-                          animate={{ opacity: 1, scale: 1 }}
-                          transition={{ duration: 0.3 }}
-                          whileHover={{ scale: 1.05 }}
-                        />
-                      ))}
-                      {isSelecting && (
-                        <motion.div
-                          className="absolute h-12 top-2 bg-white bg-opacity-20 border-2 border-white border-dashed rounded-md"
-                          style={{
-                            left: `${calculatePosition(selectionStart)}%`,
-                            width: `${calculatePosition(
-                              selectionEnd - selectionStart
-                            )}%`,
-                          }}
-                          initial={{ opacity: 0 }}
-                          animate={{ opacity: 1 }}
-                          transition={{ duration: 0.2 }}
-                        />
-                      )}
+                    <div
+                      ref={timelineScrollRef}
+                      className="overflow-x-auto rounded-xl"
+                    >
                       <div
-                        className="absolute w-1 h-full bg-white shadow-lg"
-                        style={{ left: `${calculatePosition(currentTime)}%` }}
-                      />
-                      {showStartMarker && (
-                        <motion.div
-                          className="absolute w-1 h-full bg-red-500"
-                          style={{
-                            left: `${calculatePosition(selectionStart)}%`,
-                          }}
-                          initial={{ opacity: 0 }}
-                          animate={{ opacity: 1 }}
-                          transition={{ duration: 0.2 }}
-                        />
-                      )}
-                      {showEndMarker && (
-                        <motion.div
-                          className="absolute w-1 h-full bg-red-500"
-                          style={{
-                            left: `${calculatePosition(selectionEnd)}%`,
-                          }}
-                          initial={{ opacity: 0 }}
-                          animate={{ opacity: 1 }}
-                          transition={{ duration: 0.2 }}
+                        ref={timelineRef}
+                        className="relative h-16 bg-gray-800 bg-opacity-60 rounded-xl overflow-hidden shadow-inner"
+                        style={{ width: `${timelineZoom * 100}%` }}
+                      >
+                        {filmstripTiles.map((tile, index) => (
+                          <div
+                            key={`tile-${index}`}
+                            className="absolute h-full top-0 opacity-40 pointer-events-none"
+                            style={{
+                              left: `${tile.left}%`,
+                              width: `${tile.width}%`,
+                              backgroundImage: `url(${filmstrip.url})`,
+                              backgroundSize: tile.backgroundSize,
+                              backgroundPosition: tile.backgroundPosition,
+                            }}
+                          />
+                        ))}
+                        {waveformPath && (
+                          <svg
+                            className="absolute left-0 top-0 h-full pointer-events-none text-teal-300 opacity-50"
+                            style={{
+                              width: `${calculatePosition(
+                                waveform.peaks.length / waveform.peaksPerSecond
+                              )}%`,
+                            }}
+                            viewBox={`0 0 ${waveform.peaks.length} 100`}
+                            preserveAspectRatio="none"
+                          >
+                            <path d={waveformPath} fill="currentColor" />
+                          </svg>
+                        )}
+                        {analysis?.silences.map((silence, index) => (
+                          <div
+                            key={`silence-${index}`}
+                            className="absolute h-full top-0 bg-black bg-opacity-40 pointer-events-none"
+                            style={{
+                              left: `${calculatePosition(silence.start)}%`,
+                              width: `${calculatePosition(
+                                silence.end - silence.start
+                              )}%`,
+                            }}
+                          />
+                        ))}
+                        {analysis?.scenes.map((scene) => (
+                          <div
+                            key={`scene-${scene}`}
+                            className="absolute top-0 w-px h-full bg-purple-400 bg-opacity-80 pointer-events-none"
+                            style={{ left: `${calculatePosition(scene)}%` }}
+                          />
+                        ))}
+                        {keptRanges
+                          ?.filter((range) => range.sourceId === activeSourceId)
+                          .map((range, index) => (
+                            <div
+                              key={`kept-${index}`}
+                              className="absolute h-12 top-2 rounded-md bg-green-500 bg-opacity-20 border border-green-400 border-opacity-60"
+                              style={{
+                                left: `${calculatePosition(range.start)}%`,
+                                width: `${calculatePosition(
+                                  range.end - range.start
+                                )}%`,
+                              }}
+                              title={`Kept: ${formatTime(
+                                range.start
+                              )} - ${formatTime(range.end)}`}
+                            />
+                          ))}
+                        {segments.map((segment, index) =>
+                          segment.sourceId !== activeSourceId ? null : (
+                            <motion.div
+                              key={index}
+                              className={`absolute h-12 top-2 rounded-md shadow-md cursor-grab active:cursor-grabbing touch-none ${
+                                selectedSegment === index
+                                  ? "ring-2 ring-white z-10"
+                                  : ""
+                              }`}
+                              style={{
+                                left: `${calculatePosition(segment.start)}%`,
+                                width: `${calculatePosition(
+                                  segment.end - segment.start
+                                )}%`,
+                                // Let the filmstrip show through
+                                backgroundColor: filmstrip
+                                  ? `${segment.color}b3`
+                                  : segment.color,
+                                // Cut-out segments are hatched
+                                backgroundImage:
+                                  selectionMode === "remove"
+                                    ? "repeating-linear-gradient(45deg, rgba(17, 24, 39, 0.6) 0 4px, transparent 4px 10px)"
+                                    : undefined,
+                              }}
+                              title={`${formatTime(
+                                segment.start
+                              )} - ${formatTime(segment.end)}`}
+                              initial={{ opacity: 0, scale: 0.8 }}
+                              animate={{ opacity: 1, scale: 1 }}
+                              transition={{ duration: 0.3 }}
+                              onPointerDown={(e) =>
+                                startSegmentDrag(e, index, "move")
+                              }
+                              onPointerMove={moveSegmentDrag}
+                              onPointerUp={endSegmentDrag}
+                              onPointerCancel={endSegmentDrag}
+                            >
+                              {["start", "end"].map((edge) => (
+                                <div
+                                  key={edge}
+                                  className={`absolute top-0 h-full w-2 cursor-ew-resize hover:bg-white hover:bg-opacity-40 ${
+                                    edge === "start"
+                                      ? "left-0 rounded-l-md"
+                                      : "right-0 rounded-r-md"
+                                  }`}
+                                  onPointerDown={(e) =>
+                                    startSegmentDrag(e, index, edge)
+                                  }
+                                  onPointerMove={moveSegmentDrag}
+                                  onPointerUp={endSegmentDrag}
+                                  onPointerCancel={endSegmentDrag}
+                                />
+                              ))}
+                            </motion.div>
+                          )
+                        )}
+                        {isSelecting && (
+                          <motion.div
+                            className="absolute h-12 top-2 bg-white bg-opacity-20 border-2 border-white border-dashed rounded-md"
+                            style={{
+                              left: `${calculatePosition(selectionStart)}%`,
+                              width: `${calculatePosition(
+                                selectionEnd - selectionStart
+                              )}%`,
+                            }}
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            transition={{ duration: 0.2 }}
+                          />
+                        )}
+                        <div
+                          className="absolute w-1 h-full bg-white shadow-lg pointer-events-none"
+                          style={{ left: `${calculatePosition(currentTime)}%` }}
                         />
-                      )}
+                        {showStartMarker && (
+                          <motion.div
+                            className="absolute w-1 h-full bg-red-500 pointer-events-none"
+                            style={{
+                              left: `${calculatePosition(selectionStart)}%`,
+                            }}
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            transition={{ duration: 0.2 }}
+                          />
+                        )}
+                        {showEndMarker && (
+                          <motion.div
+                            className="absolute w-1 h-full bg-red-500 pointer-events-none"
+                            style={{
+                              left: `${calculatePosition(selectionEnd)}%`,
+                            }}
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            transition={{ duration: 0.2 }}
+                          />
+                        )}
+                        {snapToKeyframes &&
+                          mediaInfo?.keyframes.length <= 500 &&
+                          mediaInfo.keyframes.map((keyframe) => (
+                            <div
+                              key={keyframe}
+                              className="absolute bottom-0 w-px h-2 bg-yellow-400 bg-opacity-70 pointer-events-none"
+                              style={{
+                                left: `${calculatePosition(keyframe)}%`,
+                              }}
+                            />
+                          ))}
+                      </div>
                     </div>
                     <input
                       type="range"
@@ -669,6 +2403,28 @@ const App = () => {
                       onChange={handleSeek}
                       className="w-full mt-2 slider"
                     />
+                    <div className="flex items-center justify-end gap-1 text-gray-400 text-xs">
+                      <span className="mr-1">Zoom</span>
+                      <button
+                        onClick={() => zoomTimeline(-1)}
+                        disabled={timelineZoom <= 1}
+                        title="Zoom out (-)"
+                        className="btn btn-ghost btn-xs text-gray-300 hover:bg-gray-700 disabled:bg-transparent"
+                      >
+                        −
+                      </button>
+                      <span className="font-mono w-8 text-center">
+                        {timelineZoom}×
+                      </span>
+                      <button
+                        onClick={() => zoomTimeline(1)}
+                        disabled={timelineZoom >= MAX_TIMELINE_ZOOM}
+                        title="Zoom in (+)"
+                        className="btn btn-ghost btn-xs text-gray-300 hover:bg-gray-700 disabled:bg-transparent"
+                      >
+                        +
+                      </button>
+                    </div>
                   </div>
 
                   {/* Selection Controls */}
@@ -733,6 +2489,77 @@ const App = () => {
                       End Selection
                     </motion.button>
                   </div>
+                  {mediaInfo?.keyframes.length > 0 && (
+                    <label className="flex items-center justify-center gap-2 mt-3 text-gray-400 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="toggle toggle-sm"
+                        checked={snapToKeyframes}
+                        onChange={(e) => setSnapToKeyframes(e.target.checked)}
+                      />
+                      Snap selection to keyframes
+                    </label>
+                  )}
+
+                  {/* Scene and silence detection */}
+                  <div className="flex flex-wrap items-center justify-center gap-2 mt-3">
+                    <button
+                      onClick={analyzeVideo}
+                      disabled={!serverFilename || isAnalyzing}
+                      className="btn btn-sm bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-gray-700"
+                    >
+                      {isAnalyzing && (
+                        <span className="loading loading-spinner loading-xs"></span>
+                      )}
+                      {isAnalyzing
+                        ? "Detecting..."
+                        : analysis
+                        ? "Detect again"
+                        : "Detect scenes & silences"}
+                    </button>
+                    {analysis && (
+                      <>
+                        <button
+                          onClick={addSegmentsBetweenSilences}
+                          disabled={isProcessing || !analysis.silences.length}
+                          className="btn btn-sm bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-gray-700"
+                        >
+                          Add segments between silences
+                        </button>
+                        <button
+                          onClick={snapSegmentsToScenes}
+                          disabled={
+                            isProcessing ||
+                            !segments.length ||
+                            !analysis.scenes.length
+                          }
+                          className="btn btn-sm bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-gray-700"
+                        >
+                          Snap to scene cuts
+                        </button>
+                      </>
+                    )}
+                  </div>
+
+                  {/* Media Info */}
+                  {mediaInfo && (
+                    <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-3">
+                      {describeMediaInfo(mediaInfo).map(([label, value]) => (
+                        <div
+                          key={label}
+                          className="bg-gray-800 bg-opacity-40 rounded-lg p-3 border border-gray-700"
+                        >
+                          <div className="text-gray-400 text-xs">{label}</div>
+                          <div
+                            className="text-gray-200 text-sm font-mono truncate"
+                            title={String(value)}
+                          >
+                            {value}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </motion.div>
             </div>
@@ -760,9 +2587,122 @@ const App = () => {
                       d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"
                     />
                   </svg>
-                  Selected Segments
+                  {
+                    selectionModes.find((m) => m.value === selectionMode)
+                      .heading
+                  }
                 </h3>
 
+                <div className="join w-full mb-2">
+                  {selectionModes.map((mode) => (
+                    <button
+                      key={mode.value}
+                      onClick={() => setSelectionMode(mode.value)}
+                      disabled={isProcessing}
+                      className={`btn btn-sm join-item flex-1 border-gray-700 ${
+                        selectionMode === mode.value
+                          ? "bg-gradient-to-r from-blue-500 to-teal-500 text-white border-none"
+                          : "bg-gray-800 bg-opacity-60 text-gray-300"
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-1 mb-2">
+                  <button
+                    onClick={undoSegments}
+                    disabled={!segmentHistory.past.length}
+                    title="Undo (Ctrl+Z)"
+                    className="btn btn-ghost btn-xs text-gray-300 hover:bg-gray-700 disabled:bg-transparent"
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3"
+                      />
+                    </svg>
+                    Undo
+                  </button>
+                  <button
+                    onClick={redoSegments}
+                    disabled={!segmentHistory.future.length}
+                    title="Redo (Ctrl+Shift+Z)"
+                    className="btn btn-ghost btn-xs text-gray-300 hover:bg-gray-700 disabled:bg-transparent"
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3"
+                      />
+                    </svg>
+                    Redo
+                  </button>
+                  <button
+                    onClick={clearSegments}
+                    disabled={!segments.length || isProcessing}
+                    title="Remove all segments"
+                    className="btn btn-ghost btn-xs ml-auto text-gray-300 hover:bg-gray-700 disabled:bg-transparent"
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                      />
+                    </svg>
+                    Clear
+                  </button>
+                </div>
+                {customOrder && selectionMode === "keep" && (
+                  <div className="flex items-center justify-between text-gray-400 text-xs mb-2">
+                    <span>Segments are joined in the order below</span>
+                    <button
+                      onClick={resetSegmentOrder}
+                      disabled={isProcessing}
+                      className="btn btn-ghost btn-xs text-gray-300 hover:bg-gray-700"
+                    >
+                      Timeline order
+                    </button>
+                  </div>
+                )}
+                {keptRanges && segments.length > 0 && (
+                  <p className="text-gray-400 text-xs mb-2">
+                    Keeping {keptRanges.length} range
+                    {keptRanges.length === 1 ? "" : "s"},{" "}
+                    {formatTime(
+                      keptRanges.reduce(
+                        (sum, range) => sum + range.end - range.start,
+                        0
+                      )
+                    )}{" "}
+                    in total
+                  </p>
+                )}
+
                 {segments.length === 0 ? (
                   <div className="flex-1 flex items-center justify-center">
                     <div className="text-center text-gray-400">
@@ -792,7 +2732,33 @@ const App = () => {
                       {segments.map((segment, index) => (
                         <motion.div
                           key={index}
-                          className="flex items-center justify-between p-3 bg-gray-800 bg-opacity-40 rounded-lg backdrop-blur-sm border border-gray-700 m-2"
+                          className={`p-3 bg-gray-800 bg-opacity-40 rounded-lg backdrop-blur-sm border m-2 ${
+                            segmentDropTarget === index &&
+                            draggedSegment !== index
+                              ? "border-teal-400"
+                              : selectedSegment === index
+                              ? "border-blue-500"
+                              : "border-gray-700"
+                          } ${draggedSegment === index ? "opacity-50" : ""}`}
+                          onDragOver={(e) => {
+                            if (draggedSegment === null) return;
+                            e.preventDefault();
+                            setSegmentDropTarget(index);
+                          }}
+                          onDrop={(e) => dropOnSegment(e, index)}
+                          onClick={() => {
+                            const source = sources.find(
+                              (s) => s.id === segment.sourceId
+                            );
+                            // Switching videos would stop the export's upload
+                            if (
+                              source &&
+                              source.id !== activeSourceId &&
+                              !isProcessing
+                            )
+                              showSource(source, segment.start);
+                            setSelectedSegment(index);
+                          }}
                           initial={{ opacity: 0, x: -20 }}
                           animate={{ opacity: 1, x: 0 }}
                           exit={{ opacity: 0, x: 20 }}
@@ -802,37 +2768,189 @@ const App = () => {
                             boxShadow: "0 0px 10px rgba(255, 255, 255, 0.3)",
                           }}
                         >
-                          <div className="flex items-center gap-3">
-                            <div
-                              className="w-4 h-4 rounded-full shadow-md"
-                              style={{ backgroundColor: segment.color }}
-                            />
-                            <span className="text-gray-300 font-mono text-sm">
-                              {formatTime(segment.start)} -{" "}
-                              {formatTime(segment.end)}
-                            </span>
-                          </div>
-                          <motion.button
-                            onClick={() => removeSegment(index)}
-                            className="btn btn-ghost btn-circle btn-sm text-gray-400 hover:bg-red-500 hover:bg-opacity-20 hover:text-red-400"
-                            whileHover={{ scale: 1.1 }}
-                            whileTap={{ scale: 0.9 }}
-                          >
-                            <svg
-                              xmlns="http://www.w3.org/2000/svg"
-                              className="h-4 w-4"
-                              fill="none"
-                              viewBox="0 0 24 24"
-                              stroke="currentColor"
-                            >
-                              <path
-                                strokeLinecap="round"
-                                strokeLinejoin="round"
-                                strokeWidth={2}
-                                d="M6 18L18 6M6 6l12 12"
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center gap-3">
+                              {selectionMode === "keep" &&
+                                segments.length > 1 && (
+                                  <div
+                                    draggable={!isProcessing}
+                                    onDragStart={(e) => startListDrag(e, index)}
+                                    onDragEnd={endListDrag}
+                                    className="-mx-1 cursor-grab text-gray-500 hover:text-gray-300"
+                                    title="Drag to reorder"
+                                  >
+                                    <svg
+                                      xmlns="http://www.w3.org/2000/svg"
+                                      className="h-4 w-4"
+                                      fill="none"
+                                      viewBox="0 0 24 24"
+                                      stroke="currentColor"
+                                    >
+                                      <path
+                                        strokeLinecap="round"
+                                        strokeLinejoin="round"
+                                        strokeWidth={2}
+                                        d="M4 8h16M4 16h16"
+                                      />
+                                    </svg>
+                                  </div>
+                                )}
+                              <div
+                                className="w-4 h-4 rounded-full shadow-md"
+                                style={{ backgroundColor: segment.color }}
                               />
-                            </svg>
-                          </motion.button>
+                              {sources.length > 1 && (
+                                <span
+                                  className="badge badge-sm bg-gray-900 bg-opacity-60 border-gray-700 text-gray-300"
+                                  title={sources[sourceIndex(segment)]?.name}
+                                >
+                                  {sourceIndex(segment) + 1}
+                                </span>
+                              )}
+                              {["start", "end"].map((key) => (
+                                <input
+                                  key={`${key}-${segment[key]}`}
+                                  type="number"
+                                  min="0"
+                                  max={
+                                    sources[sourceIndex(segment)]?.duration ||
+                                    undefined
+                                  }
+                                  step={frameStep}
+                                  defaultValue={segment[key]}
+                                  title={formatTime(segment[key])}
+                                  aria-label={`Segment ${index + 1} ${key}`}
+                                  disabled={isProcessing}
+                                  onBlur={(e) =>
+                                    commitSegmentInput(index, key, e)
+                                  }
+                                  onKeyDown={(e) =>
+                                    e.key === "Enter" && e.target.blur()
+                                  }
+                                  className="input input-xs w-20 bg-gray-900 bg-opacity-60 border-gray-700 text-gray-300 font-mono"
+                                />
+                              ))}
+                            </div>
+                            <div className="flex items-center">
+                              {selectionMode === "keep" &&
+                                segments.length > 1 &&
+                                [
+                                  [-1, "Move up", "M5 15l7-7 7 7"],
+                                  [1, "Move down", "M19 9l-7 7-7-7"],
+                                ].map(([direction, label, icon]) => (
+                                  <button
+                                    key={direction}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      reorderSegment(index, index + direction);
+                                    }}
+                                    disabled={
+                                      isProcessing ||
+                                      !segments[index + direction]
+                                    }
+                                    title={`${label} (the export joins segments in list order)`}
+                                    aria-label={`${label}: segment ${
+                                      index + 1
+                                    }`}
+                                    className="btn btn-ghost btn-circle btn-xs text-gray-400 hover:bg-gray-700 disabled:bg-transparent"
+                                  >
+                                    <svg
+                                      xmlns="http://www.w3.org/2000/svg"
+                                      className="h-4 w-4"
+                                      fill="none"
+                                      viewBox="0 0 24 24"
+                                      stroke="currentColor"
+                                    >
+                                      <path
+                                        strokeLinecap="round"
+                                        strokeLinejoin="round"
+                                        strokeWidth={2}
+                                        d={icon}
+                                      />
+                                    </svg>
+                                  </button>
+                                ))}
+                              <motion.button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  removeSegment(index);
+                                }}
+                                className="btn btn-ghost btn-circle btn-sm text-gray-400 hover:bg-red-500 hover:bg-opacity-20 hover:text-red-400"
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                              >
+                                <svg
+                                  xmlns="http://www.w3.org/2000/svg"
+                                  className="h-4 w-4"
+                                  fill="none"
+                                  viewBox="0 0 24 24"
+                                  stroke="currentColor"
+                                >
+                                  <path
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                    strokeWidth={2}
+                                    d="M6 18L18 6M6 6l12 12"
+                                  />
+                                </svg>
+                              </motion.button>
+                            </div>
+                          </div>
+                          {selectionMode === "keep" &&
+                            index < segments.length - 1 && (
+                              <div
+                                className="flex items-center gap-2 mt-2 text-xs text-gray-400"
+                                onClick={(e) => e.stopPropagation()}
+                              >
+                                <span>Into next:</span>
+                                <select
+                                  value={segment.transition?.type || "cut"}
+                                  onChange={(e) =>
+                                    setSegmentTransition(index, {
+                                      type: e.target.value,
+                                    })
+                                  }
+                                  disabled={isProcessing}
+                                  aria-label={`Transition after segment ${
+                                    index + 1
+                                  }`}
+                                  className="select select-xs bg-gray-900 bg-opacity-60 border-gray-700 text-gray-300"
+                                >
+                                  {transitionTypes.map((type) => (
+                                    <option key={type.value} value={type.value}>
+                                      {type.label}
+                                    </option>
+                                  ))}
+                                </select>
+                                {segment.transition &&
+                                  segment.transition.type !== "cut" && (
+                                    <>
+                                      <input
+                                        key={`duration-${segment.transition.duration}`}
+                                        type="number"
+                                        min={MIN_TRANSITION_DURATION}
+                                        max={MAX_TRANSITION_DURATION}
+                                        step="0.1"
+                                        defaultValue={
+                                          segment.transition.duration
+                                        }
+                                        aria-label={`Transition after segment ${
+                                          index + 1
+                                        } duration`}
+                                        disabled={isProcessing}
+                                        onBlur={(e) =>
+                                          commitTransitionDuration(index, e)
+                                        }
+                                        onKeyDown={(e) =>
+                                          e.key === "Enter" && e.target.blur()
+                                        }
+                                        className="input input-xs w-16 bg-gray-900 bg-opacity-60 border-gray-700 text-gray-300 font-mono"
+                                      />
+                                      s
+                                    </>
+                                  )}
+                              </div>
+                            )}
                         </motion.div>
                       ))}
                     </AnimatePresence>
@@ -841,9 +2959,233 @@ const App = () => {
 
                 {/* Process Section */}
                 <div className="mt-auto">
+                  {outputFormats && (
+                    <div className="mb-3">
+                      <div className="text-gray-300 text-sm mb-2">Export</div>
+                      <div className="grid grid-cols-3 gap-2">
+                        <select
+                          value={output.container}
+                          onChange={(e) => changeContainer(e.target.value)}
+                          disabled={isProcessing}
+                          className="select select-sm bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+                          title="Container"
+                        >
+                          {containerGroups.map(([group, matches]) => (
+                            <optgroup key={group} label={group}>
+                              {outputFormats.filter(matches).map((c) => (
+                                <option key={c.value} value={c.value}>
+                                  {c.label}
+                                </option>
+                              ))}
+                            </optgroup>
+                          ))}
+                        </select>
+                        {["videoCodec", "audioCodec"].map((key) => {
+                          const codecs = selectedContainer?.[`${key}s`] || [];
+                          return (
+                            <select
+                              key={key}
+                              value={output[key] || ""}
+                              onChange={(e) =>
+                                setOutput({ ...output, [key]: e.target.value })
+                              }
+                              disabled={
+                                isProcessing ||
+                                codecs.length === 0 ||
+                                (processingMode !== "reencode" &&
+                                  selectedContainer.copyable)
+                              }
+                              className="select select-sm bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+                              title={
+                                key === "videoCodec"
+                                  ? "Video codec"
+                                  : "Audio codec"
+                              }
+                            >
+                              {codecs.length === 0 && (
+                                <option value="">—</option>
+                              )}
+                              {codecs.map((c) => (
+                                <option key={c.value} value={c.value}>
+                                  {c.label}
+                                </option>
+                              ))}
+                            </select>
+                          );
+                        })}
+                      </div>
+                      {exportKind === "audioOnly" ? (
+                        <p className="text-gray-400 text-xs mt-2">
+                          Only the sound of the selected segments is exported.
+                        </p>
+                      ) : exportKind === "animated" ? (
+                        <p className="text-gray-400 text-xs mt-2">
+                          Animated image without sound, scaled down to at most
+                          480px wide.
+                        </p>
+                      ) : processingMode !== "reencode" &&
+                        selectedContainer?.copyable ? (
+                        <p className="text-gray-400 text-xs mt-2">
+                          Codecs follow the source in this cut mode.
+                        </p>
+                      ) : processingMode !== "reencode" ? (
+                        <p className="text-gray-400 text-xs mt-2">
+                          {selectedContainer?.label} can't be stream-copied, so
+                          this export is re-encoded.
+                        </p>
+                      ) : null}
+                    </div>
+                  )}
+
+                  {exportKind === "audioOnly" && (
+                    <div className="mb-3">
+                      <div className="text-gray-300 text-sm mb-2">Audio</div>
+                      <div className="grid grid-cols-2 gap-2">
+                        {renderAudioQualityFields()}
+                      </div>
+                    </div>
+                  )}
+
+                  {exportKind !== "audioOnly" && qualityPresets.length > 0 && (
+                    <div className="mb-3">
+                      <div className="flex items-center justify-between mb-2">
+                        <span className="text-gray-300 text-sm">Quality</span>
+                        <button
+                          onClick={() =>
+                            setShowAdvancedQuality(!showAdvancedQuality)
+                          }
+                          className="text-xs text-gray-400 hover:text-gray-200"
+                        >
+                          {showAdvancedQuality ? "Hide advanced" : "Advanced"}
+                        </button>
+                      </div>
+                      <select
+                        value={qualityPreset}
+                        onChange={(e) => changeQualityPreset(e.target.value)}
+                        disabled={isProcessing}
+                        className="select select-sm w-full bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+                      >
+                        {qualityPresets.map((preset) => (
+                          <option key={preset.value} value={preset.value}>
+                            {preset.label}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-gray-400 text-xs mt-2">
+                        {
+                          qualityPresets.find((p) => p.value === qualityPreset)
+                            ?.description
+                        }
+                      </p>
+
+                      {showAdvancedQuality && (
+                        <div className="grid grid-cols-2 gap-2 mt-2">
+                          <label className="text-xs text-gray-400">
+                            Resolution
+                            <select
+                              value={qualityOverrides.height ?? ""}
+                              onChange={(e) =>
+                                setQualityOverrides({
+                                  ...qualityOverrides,
+                                  height: e.target.value,
+                                })
+                              }
+                              disabled={isProcessing}
+                              className="select select-sm w-full mt-1 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+                            >
+                              <option value="">
+                                {presetSettings.height
+                                  ? `${presetSettings.height}p (preset)`
+                                  : "Source"}
+                              </option>
+                              {outputHeights.map((height) => (
+                                <option key={height} value={height}>
+                                  {height}p
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          {qualityFields
+                            .filter(([key]) => isQualityUsed(key))
+                            .map(([key, label, unit]) => (
+                              <label
+                                key={key}
+                                className="text-xs text-gray-400"
+                              >
+                                {label}
+                                {unit && ` (${unit})`}
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={qualityOverrides[key] ?? ""}
+                                  placeholder={qualityPlaceholder(key)}
+                                  onChange={(e) =>
+                                    setQualityOverrides({
+                                      ...qualityOverrides,
+                                      [key]: e.target.value,
+                                    })
+                                  }
+                                  disabled={
+                                    isProcessing ||
+                                    (key === "crf" &&
+                                      Boolean(
+                                        qualityOverrides.targetSize ||
+                                          presetSettings.targetSize
+                                      ))
+                                  }
+                                  className="input input-sm w-full mt-1 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300"
+                                />
+                              </label>
+                            ))}
+                          {exportKind === "video" && renderAudioQualityFields()}
+                        </div>
+                      )}
+                      {processingMode !== "reencode" && (
+                        <p className="text-gray-400 text-xs mt-2">
+                          Changing resolution, frame rate or bitrate re-encodes
+                          the export.
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {exportKind !== "audioOnly" && (
+                    <div className="mb-3">
+                      <div className="text-gray-300 text-sm mb-2">Cut mode</div>
+                      <div className="join w-full">
+                        {processingModes.map((mode) => (
+                          <button
+                            key={mode.value}
+                            onClick={() => setProcessingMode(mode.value)}
+                            disabled={isProcessing}
+                            className={`btn btn-sm join-item flex-1 border-gray-700 ${
+                              processingMode === mode.value
+                                ? "bg-gradient-to-r from-blue-500 to-teal-500 text-white border-none"
+                                : "bg-gray-800 bg-opacity-60 text-gray-300"
+                            }`}
+                          >
+                            {mode.label}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="text-gray-400 text-xs mt-2">
+                        {
+                          processingModes.find(
+                            (m) => m.value === processingMode
+                          ).description
+                        }
+                      </p>
+                    </div>
+                  )}
+
                   <motion.button
                     onClick={processVideo}
-                    disabled={isProcessing || segments.length === 0}
+                    disabled={
+                      isProcessing ||
+                      isUploading ||
+                      segments.length === 0 ||
+                      keptRanges?.length === 0
+                    }
                     className="btn w-full bg-gradient-to-r from-blue-500 to-teal-500 border-none text-white shadow-lg disabled:opacity-50"
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
@@ -877,7 +3219,11 @@ const App = () => {
                   {uploadProgress > 0 && (
                     <div className="mt-3">
                       <div className="flex justify-between text-gray-300 text-sm mb-1">
-                        <span>Uploading</span>
+                        <span>
+                          {uploadStage === "hashing"
+                            ? "Checking file"
+                            : "Uploading"}
+                        </span>
                         <span>{uploadProgress}%</span>
                       </div>
                       <div className="w-full bg-gray-800 bg-opacity-60 rounded-full h-2">
@@ -892,6 +3238,52 @@ const App = () => {
                     </div>
                   )}
 
+                  {jobStatus && (
+                    <div className="mt-3">
+                      <div className="flex justify-between text-gray-300 text-sm mb-1">
+                        <span>{describeJobStage(jobStatus)}</span>
+                        <span>{Math.round(jobStatus.progress)}%</span>
+                      </div>
+                      <div className="w-full bg-gray-800 bg-opacity-60 rounded-full h-2">
+                        <motion.div
+                          className="h-2 bg-gradient-to-r from-green-500 to-teal-500 rounded-full"
+                          style={{ width: `${jobStatus.progress}%` }}
+                          initial={{ width: 0 }}
+                          animate={{ width: `${jobStatus.progress}%` }}
+                          transition={{ duration: 0.3 }}
+                        ></motion.div>
+                      </div>
+                      <div className="text-right text-gray-400 text-xs mt-1">
+                        {formatEta(jobStatus.eta)}
+                      </div>
+                    </div>
+                  )}
+
+                  {isProcessing && (
+                    <motion.button
+                      onClick={cancelProcessing}
+                      className="btn btn-sm w-full mt-3 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-red-500 hover:bg-opacity-20 hover:text-red-400"
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        className="h-4 w-4 mr-1"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M6 18L18 6M6 6l12 12"
+                        />
+                      </svg>
+                      Cancel
+                    </motion.button>
+                  )}
+
                   {downloadToken && (
                     <motion.div
                       className="mt-4"
@@ -938,11 +3330,120 @@ const App = () => {
                         </svg>
                         Download Video
                       </motion.button>
+                      {result && !showResult && (
+                        <button
+                          onClick={() => setShowResult(true)}
+                          className="btn btn-sm w-full mt-2 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-gray-700"
+                        >
+                          Preview result
+                        </button>
+                      )}
                     </motion.div>
                   )}
                 </div>
               </motion.div>
             </div>
+
+            {/* Result Preview */}
+            {result && showResult && downloadToken && (
+              <motion.div
+                ref={resultPanelRef}
+                className="lg:col-span-3 bg-gray-900 bg-opacity-40 backdrop-blur-xl rounded-2xl shadow-2xl border border-gray-800 p-6"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5 }}
+              >
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-white text-lg">Result preview</h3>
+                  <span className="text-gray-400 text-sm">
+                    Final length: {formatTime(result.duration)} ·{" "}
+                    {result.segments.length} segment
+                    {result.segments.length === 1 ? "" : "s"}
+                  </span>
+                </div>
+
+                {exportKind === "audioOnly" ? (
+                  <audio
+                    ref={previewRef}
+                    src={previewUrl}
+                    controls
+                    onTimeUpdate={(e) => setPreviewTime(e.target.currentTime)}
+                    className="w-full"
+                  />
+                ) : exportKind === "animated" ? (
+                  <img
+                    src={previewUrl}
+                    alt="Animated result"
+                    className="max-h-96 mx-auto rounded-xl"
+                  />
+                ) : (
+                  <div className="aspect-video bg-black rounded-xl overflow-hidden shadow-2xl">
+                    <video
+                      ref={previewRef}
+                      src={previewUrl}
+                      controls
+                      onTimeUpdate={(e) => setPreviewTime(e.target.currentTime)}
+                      className="w-full h-full"
+                    />
+                  </div>
+                )}
+
+                {/* Segment boundaries in the result */}
+                <div className="relative h-8 mt-4 bg-gray-800 bg-opacity-60 rounded-lg overflow-hidden">
+                  {result.segments.map((segment, index) => (
+                    <div
+                      key={index}
+                      className="absolute h-6 top-1 rounded cursor-pointer border-r-2 border-gray-900"
+                      style={{
+                        left: `${(segment.start / result.duration) * 100}%`,
+                        width: `${
+                          ((segment.end - segment.start) / result.duration) *
+                          100
+                        }%`,
+                        backgroundColor:
+                          segmentColors[index % segmentColors.length],
+                      }}
+                      title={`Segment ${index + 1}: ${formatTime(
+                        segment.sourceStart
+                      )} - ${formatTime(segment.sourceEnd)} of ${
+                        sources.length > 1
+                          ? sources[sourceIndex(segment)]?.name
+                          : "the source"
+                      }`}
+                      onClick={() => seekPreview(segment.start)}
+                    />
+                  ))}
+                  <div
+                    className="absolute w-0.5 h-full bg-white shadow-lg pointer-events-none"
+                    style={{
+                      left: `${Math.min(
+                        100,
+                        (previewTime / result.duration) * 100
+                      )}%`,
+                    }}
+                  />
+                </div>
+                <div className="flex justify-between text-gray-400 text-xs mt-1">
+                  <span>{formatTime(previewTime)}</span>
+                  <span>{formatTime(result.duration)}</span>
+                </div>
+
+                <div className="flex gap-2 mt-4">
+                  <button
+                    onClick={backToEditing}
+                    className="btn btn-sm flex-1 bg-gray-800 bg-opacity-60 border-gray-700 text-gray-300 hover:bg-gray-700"
+                  >
+                    Back to editing
+                  </button>
+                  <button
+                    onClick={downloadVideo}
+                    className="btn btn-sm flex-1 bg-gradient-to-r from-green-500 to-teal-500 border-none text-white"
+                  >
+                    Download
+                  </button>
+                </div>
+              </motion.div>
+            )}
           </div>
         )}
       </main>